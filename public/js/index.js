@@ -1,17 +1,18 @@
 /* eslint-disable no-undef */
 /* eslint-disable no-unused-vars */
 // ----------------------------------------------------------------------------
-// Handles the "active" class on the navigation links.
+// Handles the "active" class on the links of the header's navigation bar.
+// Other navs, like tabs, mark their active link themselves.
 //
 document.addEventListener('DOMContentLoaded', () => {
   // Make all currently active items inactive.
-  document.querySelectorAll('a.nav-link.active').forEach((a) => {
+  document.querySelectorAll('header .navbar a.nav-link.active').forEach((a) => {
     a.classList.remove('active')
     a.attributes.removeNamedItem('aria-current')
   })
 
   // Find the link to the current page and make it active.
-  document.querySelectorAll(`a[href$="${location.pathname}"].nav-link`).forEach((a) => {
+  document.querySelectorAll(`header .navbar a[href$="${location.pathname}"].nav-link`).forEach((a) => {
     a.classList.add('active')
     a.setAttribute('aria-current', 'page')
   })
@@ -22,3 +23,45 @@ const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-tog
 const tooltipList = tooltipTriggerList.map(function (tooltipTriggerEl) {
   return new bootstrap.Tooltip(tooltipTriggerEl)
 })
+
+// ----------------------------------------------------------------------------
+// Handles the "Load more" buttons, replacing a button with the next page of
+// results, which brings its own button if there are more. If the page can't
+// be loaded, an error is shown next to the button.
+//
+document.addEventListener('click', async (event) => {
+  const button = event.target.closest('[data-load-more]')
+
+  if (!button) {
+    return
+  }
+
+  const container = button.closest('.load-more')
+
+  button.disabled = true
+  container.querySelector('.load-more-error')?.remove()
+
+  try {
+    const response = await fetch(button.dataset.loadMore, { headers: { Accept: 'text/html' } })
+
+    // The session has ended and the request was sent to the start page.
+    if (response.redirected) {
+      location.assign(response.url)
+      return
+    }
+
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`)
+    }
+
+    container.outerHTML = await response.text()
+  } catch {
+    // Tell the user, next to the button, and let them try again.
+    const message = document.createElement('span')
+    message.className = 'load-more-error text-danger small align-self-center'
+    message.setAttribute('role', 'alert')
+    message.textContent = 'The next page could not be loaded. Please try again.'
+    container.prepend(message)
+    button.disabled = false
+  }
+})
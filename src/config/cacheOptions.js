@@ -0,0 +1,33 @@
+/**
+ * @file This module contains the options for the cache of GitLab responses.
+ * @module cacheOptions
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { LruCache } from '../lib/LruCache.js'
+
+/**
+ * Creates the cache store named by CACHE_STORE. Any object with async get,
+ * set and delete methods like LruCache's can be used as a store.
+ *
+ * @returns {LruCache} The cache store.
+ */
+const createStore = () => {
+  const type = process.env.CACHE_STORE?.toLocaleLowerCase() || 'memory'
+
+  if (type === 'memory') {
+    return new LruCache({
+      maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+      ttl: 1000 * (Number(process.env.CACHE_TTL_SECONDS) || 60 * 60)
+    })
+  }
+
+  throw new Error(`Unknown cache store "${process.env.CACHE_STORE}".`)
+}
+
+export const cacheOptions = {
+  store: createStore(),
+  // Cached responses younger than this are used without asking GitLab, older ones are revalidated.
+  maxAge: 1000 * (Number(process.env.CACHE_MAX_AGE_SECONDS) || 60)
+}
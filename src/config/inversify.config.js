@@ -5,25 +5,68 @@ import 'reflect-metadata'
 // Application modules.
 import { AuthController } from '../controllers/AuthController.js'
 import { AuthService } from '../services/AuthService.js'
+import { CacheService } from '../services/CacheService.js'
+import { cacheOptions } from './cacheOptions.js'
+import { DiscoveryService } from '../services/DiscoveryService.js'
+import { GitLabClient } from '../services/GitLabClient.js'
+import { GraphQLController } from '../controllers/GraphQLController.js'
+import { JwksService } from '../services/JwksService.js'
+import { ProviderRegistry } from '../services/ProviderRegistry.js'
 import { ResourceController } from '../controllers/ResourceController.js'
 import { ResourceService } from '../services/ResourceService.js'
+import { SessionController } from '../controllers/SessionController.js'
+import { SessionService } from '../services/SessionService.js'
+import { TokenService } from '../services/TokenService.js'
 
 // Define the types to be used by the IoC container.
 export const TYPES = {
   AuthController: Symbol.for('AuthController'),
   AuthService: Symbol.for('AuthService'),
+  CacheOptions: Symbol.for('CacheOptions'),
+  CacheService: Symbol.for('CacheService'),
+  DiscoveryService: Symbol.for('DiscoveryService'),
+  GitLabClient: Symbol.for('GitLabClient'),
+  GraphQLController: Symbol.for('GraphQLController'),
+  JwksService: Symbol.for('JwksService'),
+  ProviderRegistry: Symbol.for('ProviderRegistry'),
   ResourceController: Symbol.for('ResourceController'),
-  ResourceService: Symbol.for('ResourceService')
+  ResourceService: Symbol.for('ResourceService'),
+  SessionController: Symbol.for('SessionController'),
+  SessionService: Symbol.for('SessionService'),
+  TokenService: Symbol.for('TokenService')
 }
 
 // Declare the injectable and its dependencies.
 decorate(injectable(), AuthService)
 decorate(injectable(), AuthController)
+decorate(injectable(), CacheService)
+decorate(injectable(), DiscoveryService)
+decorate(injectable(), GitLabClient)
+decorate(injectable(), GraphQLController)
+decorate(injectable(), JwksService)
+decorate(injectable(), ProviderRegistry)
 decorate(injectable(), ResourceController)
 decorate(injectable(), ResourceService)
+decorate(injectable(), SessionController)
+decorate(injectable(), SessionService)
+decorate(injectable(), TokenService)
 
 decorate(inject(TYPES.AuthService), AuthController, 0)
+decorate(inject(TYPES.ProviderRegistry), AuthService, 0)
+decorate(inject(TYPES.JwksService), AuthService, 1)
 decorate(inject(TYPES.ResourceService), ResourceController, 0)
+decorate(inject(TYPES.ResourceService), GraphQLController, 0)
+decorate(inject(TYPES.CacheOptions), CacheService, 0)
+decorate(inject(TYPES.GitLabClient), ResourceService, 0)
+decorate(inject(TYPES.CacheService), ResourceService, 1)
+decorate(inject(TYPES.TokenService), ResourceService, 2)
+decorate(inject(TYPES.ProviderRegistry), ResourceService, 3)
+decorate(inject(TYPES.TokenService), GitLabClient, 0)
+decorate(inject(TYPES.ProviderRegistry), GitLabClient, 1)
+decorate(inject(TYPES.DiscoveryService), ProviderRegistry, 0)
+decorate(inject(TYPES.SessionService), SessionController, 0)
+decorate(inject(TYPES.AuthService), SessionService, 0)
+decorate(inject(TYPES.AuthService), TokenService, 0)
 
 // Create the IoC container.
 export const container = new Container()
@@ -31,5 +74,15 @@ export const container = new Container()
 // Declare the bindings.
 container.bind(TYPES.AuthController).to(AuthController).inSingletonScope()
 container.bind(TYPES.AuthService).to(AuthService).inSingletonScope()
+container.bind(TYPES.CacheOptions).toConstantValue(cacheOptions)
+container.bind(TYPES.CacheService).to(CacheService).inSingletonScope()
+container.bind(TYPES.DiscoveryService).to(DiscoveryService).inSingletonScope()
+container.bind(TYPES.GitLabClient).to(GitLabClient).inSingletonScope()
+container.bind(TYPES.GraphQLController).to(GraphQLController).inSingletonScope()
+container.bind(TYPES.JwksService).to(JwksService).inSingletonScope()
+container.bind(TYPES.ProviderRegistry).to(ProviderRegistry).inSingletonScope()
 container.bind(TYPES.ResourceController).to(ResourceController).inSingletonScope()
 container.bind(TYPES.ResourceService).to(ResourceService).inSingletonScope()
+container.bind(TYPES.SessionController).to(SessionController).inSingletonScope()
+container.bind(TYPES.SessionService).to(SessionService).inSingletonScope()
+container.bind(TYPES.TokenService).to(TokenService).inSingletonScope()
@@ -0,0 +1,67 @@
+/**
+ * @file This module contains the options object for the OAuth clients, one per identity provider.
+ * @module oauthOptions
+ * @author Daniel Andersson
+ */
+
+/**
+ * Reads the options of an identity provider from environment variables
+ * prefixed with the provider's name, e.g. GITLAB_COM_CLIENT_ID for "gitlab-com".
+ * The unprefixed variables are used as fallback, so a single provider can be
+ * configured as before.
+ *
+ * @param {string} name - The provider's name.
+ * @param {boolean} isDefault - Whether it's the default provider.
+ * @returns {object} The provider's options.
+ */
+const readProviderOptions = (name, isDefault) => {
+  const prefix = `${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`
+
+  /**
+   * Gets a provider-specific environment variable, falling back to the unprefixed one for the default provider.
+   *
+   * @param {string} key - The variable name without prefix.
+   * @returns {string|undefined} The value.
+   */
+  const env = (key) => process.env[`${prefix}${key}`] ?? (isDefault ? process.env[key] : undefined)
+
+  // The issuer identifier, the discovery document is found relative to it.
+  const issuer = (
+    env('SERVICE_PROVIDER_ISSUER') ||
+    new URL(env('SERVICE_PROVIDER_OAUTH_URL') || 'https://gitlab.lnu.se').origin
+  ).replace(/\/$/, '')
+
+  const options = {
+    name,
+    displayName: env('DISPLAY_NAME') || new URL(issuer).host,
+    issuer,
+    apiUrl: env('SERVICE_PROVIDER_API_URL') || `${issuer}/api`,
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    redirectUri: env('REDIRECT_URI'),
+    responseType: env('RESPONSE_TYPE') || 'code',
+    scope: env('SCOPE'),
+
+    // Used if the discovery document doesn't announce an end_session_endpoint.
+    endSessionUrl: env('END_SESSION_URL'),
+
+    // A public client (CLIENT_TYPE=public) can't keep a secret and relies on PKCE alone.
+    isPublicClient: env('CLIENT_TYPE')?.toLocaleLowerCase() === 'public'
+  }
+
+  if (options.isPublicClient) {
+    delete options.clientSecret
+  }
+
+  return options
+}
+
+// PROVIDERS is a comma-separated list of provider names, the first one is the default.
+const names = (process.env.PROVIDERS || 'gitlab').split(',').map((name) => name.trim()).filter(Boolean)
+
+export const oauthOptions = {
+  defaultProvider: names[0],
+  providers: Object.fromEntries(names.map((name, index) => [name, readProviderOptions(name, index === 0)])),
+  // Register it with the provider ending in "?logged_out" for the start page to confirm the logout.
+  postLogoutRedirectUri: process.env.POST_LOGOUT_REDIRECT_URI
+}
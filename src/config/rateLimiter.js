@@ -8,9 +8,50 @@
 // User-land modules.
 import rateLimit from 'express-rate-limit'
 
+// Application modules.
+import { HttpError } from '../lib/errors/HttpError.js'
+import { wantsJson } from '../lib/util.js'
+
+/**
+ * The number of remaining requests at which the user is warned.
+ *
+ * @type {number}
+ */
+const WARNING_THRESHOLD = 10
+
+/**
+ * Passes a request over the limit on to the error handler, so that it's
+ * answered like any other error, e.g. with problem details to API clients.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @param {object} options - The options of the rate limiter.
+ */
+const rejectRequest = (req, res, next, options) => {
+  next(new HttpError({ status: options.statusCode, message: 'Too many requests, please try again later.' }))
+}
+
 export const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per `window` (here, per 15 minutes)
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false // Disable the `X-RateLimit-*` headers
+  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+  handler: rejectRequest
 })
+
+/**
+ * Warns the user, once per window, when few requests remain before the limit
+ * is reached. API clients have the RateLimit-* headers.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const warnNearLimit = (req, res, next) => {
+  if (req.rateLimit?.remaining === WARNING_THRESHOLD && !wantsJson(req)) {
+    req.flash('warning', `You are close to the request limit, only ${WARNING_THRESHOLD} requests remain until ${req.rateLimit.resetTime.toLocaleTimeString('sv-SE')}.`)
+  }
+
+  next()
+}
@@ -3,17 +3,109 @@
  * @module sessionOptions
  * @author Daniel Andersson
  */
+
+// Built-in modules.
+import { randomBytes } from 'node:crypto'
+
+// User-land modules.
+import session from 'express-session'
+
+// Application modules.
+import { EncryptedSessionStore } from '../lib/EncryptedSessionStore.js'
+import { FileSessionStore } from '../lib/FileSessionStore.js'
+import { TokenCipher } from '../lib/TokenCipher.js'
+import { logger } from './winston.js'
+
+/**
+ * Creates the session store named by SESSION_STORE ("file" or "memory").
+ *
+ * @returns {session.Store} The session store.
+ */
+const createStore = () => {
+  const type = process.env.SESSION_STORE?.toLocaleLowerCase() || 'file'
+
+  if (type === 'memory') {
+    return new session.MemoryStore()
+  }
+
+  if (type === 'file') {
+    return new FileSessionStore({ path: process.env.SESSION_STORE_PATH || '.sessions' })
+  }
+
+  throw new Error(`Unknown session store "${process.env.SESSION_STORE}".`)
+}
+
+/**
+ * Creates the cipher encrypting the tokens at rest, with the keys in
+ * SESSION_ENCRYPTION_KEYS ("<key ID>:<base64 encoded 32-byte key>", comma-separated, current key first).
+ *
+ * @returns {TokenCipher} The cipher.
+ */
+const createCipher = () => {
+  if (process.env.SESSION_ENCRYPTION_KEYS) {
+    return new TokenCipher(process.env.SESSION_ENCRYPTION_KEYS)
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_ENCRYPTION_KEYS must be set in production.')
+  }
+
+  logger.warn('SESSION_ENCRYPTION_KEYS is not set, using a temporary key. Logins will not survive a restart.')
+
+  return new TokenCipher(`temporary:${randomBytes(32).toString('base64')}`)
+}
+
+/**
+ * How long a session may live, in milliseconds. A session ends when it has
+ * been idle too long, or when it reaches its absolute age, whichever comes first.
+ */
+export const sessionLifetime = {
+  idleTimeout: 1000 * 60 * Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES || 30),
+  absoluteTimeout: 1000 * 60 * Number(process.env.SESSION_ABSOLUTE_TIMEOUT_MINUTES || 60 * 24)
+}
+
+/**
+ * How long ago, in seconds, the user must have logged in at the identity
+ * provider to manage their sessions.
+ */
+export const recentLoginMaxAge = 60 * Number(process.env.RECENT_LOGIN_MAX_AGE_MINUTES || 15)
+
+/**
+ * Checks if a session has been idle too long or reached its absolute age.
+ *
+ * @param {object} sess - The session data.
+ * @param {number} [now] - The current time, in milliseconds since the epoch.
+ * @returns {boolean} True if the session has expired; otherwise false.
+ */
+export const isSessionExpired = (sess, now = Date.now()) => {
+  const { createdAt = now, client } = sess
+  const lastSeenAt = client?.lastSeenAt ?? createdAt
+
+  return now - createdAt > sessionLifetime.absoluteTimeout || now - lastSeenAt > sessionLifetime.idleTimeout
+}
+
+// With rolling expiry the cookie is renewed on every response, so it only needs to outlive the idle timeout.
+const rolling = process.env.SESSION_ROLLING?.toLocaleLowerCase() === 'true'
+
 export const sessionOptions = {
   name: process.env.SESSION_NAME,
   secret: process.env.SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
+  rolling,
+  store: new EncryptedSessionStore({
+    store: createStore(),
+    cipher: createCipher(),
+    properties: ['tokens']
+  }),
   cookie: {
-    maxAge: 1000 * 60 * 60 * 24, // 1 day
+    maxAge: rolling ? sessionLifetime.idleTimeout : sessionLifetime.absoluteTimeout,
     sameSite: 'none'
   }
 }
 
+sessionOptions.store.on('error', (error) => logger.error(error.message, { error }))
+
 if (process.env.NODE_ENV === 'production') {
   sessionOptions.cookie.secure = true // serve secure cookies
   sessionOptions.cookie.sameSite = 'secure'
@@ -5,7 +5,10 @@
  */
 
 // Application modules.
-import { convertToHttpError } from '../lib/util.js'
+import { sessionOptions } from '../config/sessionOptions.js'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+import { convertToHttpError, regenerateSession } from '../lib/util.js'
 import { AuthService } from '../services/AuthService.js'
 
 /**
@@ -29,7 +32,9 @@ export class AuthController {
   }
 
   /**
-   * Redirects client to service provider login page.
+   * Redirects client to service provider login page. If the user is already
+   * logged in, the account from the service provider is linked to the session.
+   * The prompt, max_age and login_hint query parameters are passed on to the provider.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -37,10 +42,11 @@ export class AuthController {
    */
   async login (req, res, next) {
     try {
-      res.redirect(
-        302,
-        `${process.env.SERVICE_PROVIDER_OAUTH_URL}/authorize?client_id=${process.env.CLIENT_ID}&redirect_uri=${process.env.REDIRECT_URI}&response_type=${process.env.RESPONSE_TYPE}&state=${process.env.STATE}&scope=${process.env.SCOPE}`
-      )
+      const provider = req.params.provider ?? this.#service.defaultProvider
+
+      const { prompt, max_age: maxAge, login_hint: loginHint } = req.query
+
+      res.redirect(302, await this.#service.createAuthorizationUrl(req.session, provider, { prompt, maxAge, loginHint }))
     } catch (error) {
       next(convertToHttpError(error))
     }
@@ -55,9 +61,92 @@ export class AuthController {
    */
   async authorize (req, res, next) {
     try {
-      req.session.user = await this.#service.authorizeUser(req.query.code)
+      const provider = req.params.provider ?? this.#service.defaultProvider
+      const request = this.#service.verifyState(req.session, req.query.state, provider)
+
+      if (req.query.error) {
+        throw new HttpError({ status: 401, message: `The login was not completed (${req.query.error_description || req.query.error}).` })
+      }
+
+      const { tokens, claims } = await this.#service.authorizeUser(req.query.code, request)
+      const { user, tokens: linkedTokens, createdAt, returnTo = '/home' } = req.session
+
+      // Another account of the provider the user logged in with must not get
+      // the user's session, and its data must not be cached as the user's.
+      const isOtherAccount = user?.provider === provider && user.sub !== claims.sub
+
+      // A login confirming that it's the user, see requireRecentLogin, only
+      // counts if the user made it. The session is kept as it is.
+      if (request.maxAge !== undefined && isOtherAccount) {
+        throw new ValidationError({ message: 'You confirmed the login with another account. Please log in again with your own account.' })
+      }
+
+      // Issue a new session ID, so an ID planted before the login is worthless.
+      await regenerateSession(req)
+
+      if (user && !isOtherAccount) {
+        // Link the account to the user already logged in. Only a login as the
+        // user refreshes the time the user last authenticated.
+        req.session.user = user.provider === provider ? { ...user, authTime: claims.auth_time } : user
+        req.session.tokens = { ...linkedTokens, [provider]: tokens }
+        req.session.createdAt = createdAt
+        req.flash('success', linkedTokens?.[provider] ? 'You are logged in again.' : 'The account was linked.')
+      } else {
+        // Start over, without the tokens of the user logged in before, if any.
+        req.session.user = { provider, sub: claims.sub, authTime: claims.auth_time }
+        req.session.tokens = { [provider]: tokens }
+        req.session.createdAt = Date.now()
+        req.flash('success', isOtherAccount ? 'You are logged in with another account.' : 'You are logged in.')
+      }
+
+      // Go back to the page that required the login, if any, unless it was
+      // the page of another account.
+      res.redirect(isOtherAccount ? '/home' : returnTo)
+    } catch (error) {
+      if (error instanceof HttpError || error instanceof ValidationError) {
+        // Let the user know why the login failed.
+        req.flash('danger', error.message)
+        res.redirect('/')
+        return
+      }
+
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Logs out the user by revoking the tokens of every linked account,
+   * destroying the session and, if the service provider the user logged in
+   * with supports it, ending the session at the provider. Without a session
+   * to queue a flash message in, the start page is told about the logout by
+   * the logged_out query parameter.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async logout (req, res, next) {
+    try {
+      const { user, tokens = {} } = req.session
+      let endSessionUrl
+
+      if (user) {
+        endSessionUrl = await this.#service.createEndSessionUrl(user.provider, tokens[user.provider]?.id_token)
+      }
+
+      await Promise.all(Object.entries(tokens).map(([provider, providerTokens]) => this.#service.revokeTokens(provider, providerTokens)))
+
+      req.session.destroy((error) => {
+        if (error) {
+          next(convertToHttpError(error))
+          return
+        }
+
+        const { maxAge, ...cookieOptions } = sessionOptions.cookie
+        res.clearCookie(sessionOptions.name, cookieOptions)
 
-      res.redirect('/home')
+        res.redirect(endSessionUrl || '/?logged_out')
+      })
     } catch (error) {
       next(convertToHttpError(error))
     }
@@ -0,0 +1,288 @@
+/**
+ * @file Defines the GraphQLController class.
+ * @module GraphQLController
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { randomBytes } from 'node:crypto'
+
+// User-land modules.
+import { execute, GraphQLError, parse, validate } from 'graphql'
+
+// Application modules.
+import { measureQuery } from '../graphql/queryCost.js'
+import { schema } from '../graphql/schema.js'
+import { BatchLoader } from '../lib/BatchLoader.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+import { convertToHttpError } from '../lib/util.js'
+import { ResourceService } from '../services/ResourceService.js'
+
+/**
+ * The deepest a query may nest its fields.
+ *
+ * @type {number}
+ */
+const MAX_DEPTH = Number(process.env.GRAPHQL_MAX_DEPTH) || 8
+
+/**
+ * The highest complexity a query may have, roughly the number of fields it
+ * resolves, see queryCost.
+ *
+ * @type {number}
+ */
+const MAX_COMPLEXITY = Number(process.env.GRAPHQL_MAX_COMPLEXITY) || 1000
+
+/**
+ * The largest page size GitLab accepts.
+ *
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 100
+
+/**
+ * Encapsulates a controller serving the application's own GraphQL API.
+ */
+export class GraphQLController {
+  /**
+   * The service.
+   *
+   * @type {ResourceService}
+   */
+  #service
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {ResourceService} service - A service instantiated from a class with the same capabilities as ResourceService.
+   */
+  constructor (service) {
+    this.#service = service
+  }
+
+  /**
+   * Executes a GraphQL query on behalf of the logged in user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async execute (req, res, next) {
+    try {
+      // Only JSON bodies are accepted, which a cross-site form can't send, so
+      // no other site can make a logged in user's browser run a query.
+      if (!req.is('application/json')) {
+        this.#sendErrors(res, 415, [new GraphQLError('The request body must be JSON.')])
+        return
+      }
+
+      if (!req.session.user) {
+        this.#sendErrors(res, 401, [new GraphQLError('Log in to access the resource.')])
+        return
+      }
+
+      const { query, variables, operationName } = req.body
+
+      if (typeof query !== 'string') {
+        this.#sendErrors(res, 400, [new GraphQLError('The query is missing.')])
+        return
+      }
+
+      let document
+
+      try {
+        document = parse(query)
+      } catch (error) {
+        this.#sendErrors(res, 400, [error])
+        return
+      }
+
+      const validationErrors = validate(schema, document)
+
+      if (validationErrors.length) {
+        this.#sendErrors(res, 400, validationErrors)
+        return
+      }
+
+      const { depth, complexity } = measureQuery(document, operationName, variables)
+
+      if (depth > MAX_DEPTH || complexity > MAX_COMPLEXITY) {
+        this.#sendErrors(res, 400, [new GraphQLError(
+          `The query is too large: its depth is ${depth} (at most ${MAX_DEPTH}) and its complexity ${complexity} (at most ${MAX_COMPLEXITY}).`,
+          { extensions: { depth, complexity } }
+        )])
+        return
+      }
+
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: this.#createContext(req)
+      })
+
+      res.json({ ...result, errors: result.errors?.map((error) => this.#formatError(error)) })
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders GraphiQL, an in-browser IDE for exploring the API. It loads its
+   * scripts from a CDN, so the page gets a content security policy of its own.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async graphiql (req, res, next) {
+    try {
+      const nonce = randomBytes(16).toString('base64')
+
+      res.set('Content-Security-Policy', [
+        "default-src 'self'",
+        `script-src 'nonce-${nonce}' https://cdn.jsdelivr.net/npm/`,
+        "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net/npm/",
+        "font-src 'self' data: https://cdn.jsdelivr.net/npm/",
+        "img-src 'self' data:",
+        "connect-src 'self'"
+      ].join('; '))
+      res.render('graphql/graphiql', { nonce, layout: false })
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Creates the context the resolvers share during a request.
+   *
+   * @param {object} req - Express request object.
+   * @returns {object} The context.
+   */
+  #createContext (req) {
+    const projectsLoader = new BatchLoader((keys) => this.#loadProjects(req.session, keys))
+
+    return {
+      service: this.#service,
+      session: req.session,
+      /**
+       * Gets the name of the identity provider to fetch from.
+       *
+       * @param {string} [name] - The name asked for.
+       * @returns {string} The name, by default the provider the user logged in with.
+       */
+      provider: (name) => name || req.session.user.provider,
+      /**
+       * Validates a page number.
+       *
+       * @param {number} value - The page number.
+       * @returns {number} The page number.
+       */
+      pageNumber: (value) => this.#positiveInteger(value, 'page'),
+      /**
+       * Validates a page size, capping it at the largest size GitLab accepts.
+       *
+       * @param {number} value - The page size.
+       * @returns {number} The page size.
+       */
+      pageSize: (value) => Math.min(this.#positiveInteger(value, 'first'), MAX_PAGE_SIZE),
+      /**
+       * Loads a page of a group's projects, batched with the loads of other groups' projects.
+       *
+       * @param {string} provider - The name of the identity provider to fetch from.
+       * @param {string} fullPath - The full path of the group.
+       * @param {object} page - The page to fetch.
+       * @param {number} page.projects - The number of projects per page.
+       * @param {string} [page.after] - The cursor of the last project of the previous page.
+       * @returns {Promise<object>} The projects and page info.
+       */
+      loadProjects: (provider, fullPath, { projects, after }) =>
+        projectsLoader.load(JSON.stringify([provider, Math.min(this.#positiveInteger(projects, 'first'), MAX_PAGE_SIZE), after ?? null, fullPath]))
+    }
+  }
+
+  /**
+   * Loads the projects of groups, with one GitLab query for all groups whose
+   * projects are paged the same way.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string[]} keys - JSON arrays of the provider, page size, cursor and group full path.
+   * @returns {Promise<Array<object|Error>>} The projects of each group, in the same order as the keys.
+   */
+  async #loadProjects (session, keys) {
+    const batches = new Map()
+
+    keys.map((key) => JSON.parse(key)).forEach(([provider, projects, after, fullPath], index) => {
+      const batchKey = JSON.stringify([provider, projects, after])
+
+      if (!batches.has(batchKey)) {
+        batches.set(batchKey, { provider, page: { projects, after: after ?? undefined }, fullPaths: [], indexes: [] })
+      }
+
+      batches.get(batchKey).fullPaths.push(fullPath)
+      batches.get(batchKey).indexes.push(index)
+    })
+
+    const results = new Array(keys.length)
+
+    await Promise.all([...batches.values()].map(async ({ provider, page, fullPaths, indexes }) => {
+      try {
+        const connections = await this.#service.fetchProjectsOfGroups(session, provider, fullPaths, page)
+        connections.forEach((connection, index) => { results[indexes[index]] = connection })
+      } catch (error) {
+        indexes.forEach((index) => { results[index] = error })
+      }
+    }))
+
+    return results
+  }
+
+  /**
+   * Validates that a page number or size is a positive whole number.
+   *
+   * @param {number} value - The value.
+   * @param {string} name - The name of the argument.
+   * @returns {number} The value.
+   */
+  #positiveInteger (value, name) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new ValidationError({ message: `"${name}" must be a positive whole number.`, data: { [name]: value } })
+    }
+
+    return value
+  }
+
+  /**
+   * Formats an error that occurred while resolving a field, adding the HTTP
+   * status it corresponds to. The messages of server errors are hidden in production.
+   *
+   * @param {GraphQLError} error - The error.
+   * @returns {object} The formatted error.
+   */
+  #formatError (error) {
+    if (!error.originalError) {
+      return error.toJSON()
+    }
+
+    const httpError = convertToHttpError(error.originalError)
+    const hideMessage = httpError.status >= 500 && process.env.NODE_ENV === 'production'
+
+    return {
+      ...error.toJSON(),
+      message: hideMessage ? httpError.reasonPhrase : httpError.message,
+      extensions: { status: httpError.status, code: httpError.reasonPhrase }
+    }
+  }
+
+  /**
+   * Responds with GraphQL errors, without any data.
+   *
+   * @param {object} res - Express response object.
+   * @param {number} status - The HTTP status code.
+   * @param {GraphQLError[]} errors - The errors.
+   */
+  #sendErrors (res, status, errors) {
+    res.status(status).json({ errors: errors.map((error) => error.toJSON()) })
+  }
+}
@@ -5,9 +5,19 @@
  */
 
 // Application modules.
+import { logger } from '../config/winston.js'
+import { activityExportFormats } from '../lib/activityExportFormats.js'
+import { renderContributionHeatmap } from '../lib/contributionHeatmap.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+import { convertToHttpError, wantsJson } from '../lib/util.js'
+import { EVENT_ACTIONS, EVENT_TARGET_TYPES, ISSUE_FILTERS, MERGE_REQUEST_STATES, MERGE_REQUEST_TABS, ResourceService } from '../services/ResourceService.js'
 
-import { convertToHttpError } from '../lib/util.js'
-import { ResourceService } from '../services/ResourceService.js'
+/**
+ * The largest page size GitLab accepts.
+ *
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 100
 
 /**
  * Encapsulates a controller.
@@ -30,7 +40,8 @@ export class ResourceController {
   }
 
   /**
-   * Renders the start page.
+   * Renders the start page, telling the user about a logout if the
+   * logged_out query parameter is set.
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -38,6 +49,10 @@ export class ResourceController {
    */
   async index (req, res, next) {
     try {
+      if (req.query.logged_out !== undefined && !req.session.user) {
+        res.locals.flash.push({ type: 'success', text: 'You are logged out.' })
+      }
+
       res.render('index')
     } catch (error) {
       next(convertToHttpError(error))
@@ -53,14 +68,17 @@ export class ResourceController {
    */
   async home (req, res, next) {
     try {
-      res.render('home')
+      const accounts = this.#service.listAccounts(req.session)
+
+      this.#respond(req, res, 'home', { accounts }, { data: accounts })
     } catch (error) {
       next(convertToHttpError(error))
     }
   }
 
   /**
-   * Renders profile page.
+   * Renders profile page, with a contribution heatmap and activity statistics
+   * of the last year or of the days between "from" and "to".
    *
    * @param {object} req - Express request object.
    * @param {object} res - Express response object.
@@ -68,9 +86,18 @@ export class ResourceController {
    */
   async profile (req, res, next) {
     try {
-      const profile = this.#service.fetchProfile(req.session.user)
+      const { from, to } = req.query
+      const [profile, statistics] = await Promise.all([
+        this.#service.fetchProfile(req.session, this.#provider(req), this.#cacheOptions(req)),
+        this.#service.fetchActivityStatistics(req.session, this.#provider(req), { from, to }, this.#cacheOptions(req))
+      ])
 
-      res.render('profile', profile)
+      this.#respond(req, res, 'profile', {
+        ...profile,
+        statistics,
+        heatmap: renderContributionHeatmap(statistics),
+        query: { provider: this.#provider(req) }
+      }, { data: profile, statistics })
     } catch (error) {
       next(convertToHttpError(error))
     }
@@ -85,9 +112,147 @@ export class ResourceController {
    */
   async activities (req, res, next) {
     try {
-      const activities = this.#service.fetchActivities(req.session.user, parseInt(req.query.page), parseInt(req.query.limit))
+      const page = this.#pageNumber(req.query.page)
+      const limit = this.#pageSize(req.query.limit, 'limit', 20)
+      const activities = await this.#service.fetchActivities(req.session, this.#provider(req), page, limit, this.#activityFilters(req), this.#cacheOptions(req))
+
+      const query = this.#activityQuery(req, limit)
+
+      this.#respond(req, res, 'activities', {
+        ...activities,
+        basePath: 'activities',
+        query,
+        filterOptions: { actions: EVENT_ACTIONS, targetTypes: EVENT_TARGET_TYPES }
+      }, this.#pageBody(req, activities.activities, activities, query))
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Streams all activities matching the filters as a file download, in the
+   * format asked for with "format": csv, ndjson or ics.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async exportActivities (req, res, next) {
+    let pages
+
+    try {
+      if (req.query.format && !Object.hasOwn(activityExportFormats, req.query.format)) {
+        throw new ValidationError({ message: `"format" must be one of ${Object.keys(activityExportFormats).join(', ')}.`, data: { format: req.query.format } })
+      }
+
+      const format = activityExportFormats[req.query.format || 'csv']
+      const provider = this.#provider(req)
+      pages = this.#service.streamActivities(req.session, provider, this.#activityFilters(req))
+
+      // Fetch the first page before answering, so a failure can still get a proper error response.
+      let page = await pages.next()
+
+      res.attachment(`activities-${new Date().toISOString().slice(0, 10)}.${format.extension}`)
+      res.type(format.contentType)
+      res.write(format.header)
+
+      for (; !page.done; page = await pages.next()) {
+        if (res.destroyed) {
+          return
+        }
+
+        await this.#write(res, page.value.map((activity) => format.format(activity, provider)).join(''))
+      }
+
+      res.end(format.footer)
+    } catch (error) {
+      if (!res.headersSent) {
+        next(convertToHttpError(error))
+        return
+      }
+
+      // Too late to answer with an error, abort the download so it isn't mistaken for a complete one.
+      logger.error(`The activity export failed: ${error.message}`, { error })
+      res.destroy(error)
+    } finally {
+      await pages?.return()
+    }
+  }
+
+  /**
+   * Renders page with the latest activities in a project.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async projectActivities (req, res, next) {
+    try {
+      const page = this.#pageNumber(req.query.page)
+      const limit = this.#pageSize(req.query.limit, 'limit', 20)
+      const activities = await this.#service.fetchProjectActivities(req.session, this.#provider(req), req.params.id, page, limit, this.#activityFilters(req), this.#cacheOptions(req))
+
+      const query = this.#activityQuery(req, limit)
 
-      res.render('activities', activities)
+      this.#respond(req, res, 'activities', {
+        ...activities,
+        basePath: `projects/${encodeURIComponent(req.params.id)}/events`,
+        query,
+        filterOptions: { actions: EVENT_ACTIONS, targetTypes: EVENT_TARGET_TYPES }
+      }, { ...this.#pageBody(req, activities.activities, activities, query), project: activities.project })
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders the page of a project, with a page of its recent commits.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async project (req, res, next) {
+    try {
+      const page = this.#pageNumber(req.query.page)
+      const limit = this.#pageSize(req.query.limit, 'limit', 20)
+      const { project, tags, contributors, commits, ...pageInfo } = await this.#service.fetchProject(req.session, this.#provider(req), req.params.fullPath, page, limit, this.#cacheOptions(req))
+
+      const query = { provider: this.#provider(req), limit }
+
+      this.#respond(req, res, 'projects', {
+        project,
+        tags,
+        contributors,
+        commits,
+        ...pageInfo,
+        basePath: `projects/${encodeURIComponent(project.fullPath)}`,
+        query
+      }, { ...this.#pageBody(req, commits, pageInfo, query), project: { ...project, tags, contributors } })
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders the recent pipelines of a project, with their jobs.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async pipelines (req, res, next) {
+    try {
+      const page = { limit: this.#pageSize(req.query.limit, 'limit', 10), after: req.query.after || undefined }
+      const { pipelines, ...project } = await this.#service.fetchPipelines(req.session, this.#provider(req), req.params.fullPath, page, this.#cacheOptions(req))
+
+      this.#respond(req, res, 'projects/pipelines', {
+        project,
+        pipelines,
+        page,
+        basePath: `projects/${encodeURIComponent(project.fullPath)}`,
+        query: { provider: this.#provider(req), limit: page.limit }
+      }, { ...this.#connectionBody(req, pipelines, page), project })
     } catch (error) {
       next(convertToHttpError(error))
     }
@@ -102,11 +267,326 @@ export class ResourceController {
    */
   async groups (req, res, next) {
     try {
-      const groups = this.#service.fetchGroups(req.session.user)
+      const page = this.#groupsPage(req)
+      const groups = await this.#service.fetchGroups(req.session, this.#provider(req), page, this.#cacheOptions(req))
 
-      res.render('groups', { groups })
+      this.#respond(req, res, 'groups', { groups, page, provider: this.#provider(req) }, this.#connectionBody(req, groups, page))
     } catch (error) {
       next(convertToHttpError(error))
     }
   }
+
+  /**
+   * Renders the next page of groups, to be appended to the groups page.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async moreGroups (req, res, next) {
+    try {
+      const page = this.#groupsPage(req)
+      const groups = await this.#service.fetchGroups(req.session, this.#provider(req), page, this.#cacheOptions(req))
+
+      this.#respond(req, res, 'groups/_groups', { groups, page, provider: this.#provider(req), layout: false }, this.#connectionBody(req, groups, page))
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders the next page of a group's projects, to be appended to the group.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async groupProjects (req, res, next) {
+    try {
+      if (!req.query.group) {
+        throw new ValidationError({ message: 'The group to list projects of is missing.' })
+      }
+
+      const page = this.#groupsPage(req)
+      const projects = await this.#service.fetchGroupProjects(req.session, this.#provider(req), req.query.group, page, this.#cacheOptions(req))
+
+      this.#respond(req, res, 'groups/_projects', {
+        group: { fullPath: req.query.group },
+        projects,
+        page,
+        provider: this.#provider(req),
+        layout: false
+      }, this.#connectionBody(req, projects, { projects: page.projects, after: page.after }))
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders the merge requests the user authored, is assigned to or is asked to review.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async mergeRequests (req, res, next) {
+    try {
+      const { tab, state, draft, after, before } = req.query
+      const page = { limit: this.#pageSize(req.query.limit, 'limit', 20), after: after || undefined, before: before || undefined }
+      const mergeRequests = await this.#service.fetchMergeRequests(req.session, this.#provider(req), { tab, state, draft }, page, this.#cacheOptions(req))
+
+      const query = Object.fromEntries(Object.entries({ provider: this.#provider(req), tab: tab || 'authored', state, draft, limit: page.limit }).filter(([, value]) => value))
+
+      this.#respond(req, res, 'merge-requests', {
+        mergeRequests,
+        query,
+        filterOptions: { tabs: Object.keys(MERGE_REQUEST_TABS), states: MERGE_REQUEST_STATES }
+      }, this.#connectionBody(req, mergeRequests, page))
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Renders the issues assigned to or created by the user.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async issues (req, res, next) {
+    try {
+      const page = this.#pageNumber(req.query.page)
+      const limit = this.#pageSize(req.query.limit, 'limit', 20)
+      const { scope, labels, milestone, state, due_date: dueDate, order_by: orderBy, sort } = req.query
+      const issues = await this.#service.fetchIssues(req.session, this.#provider(req), page, limit, { scope, labels, milestone, state, dueDate, orderBy, sort }, this.#cacheOptions(req))
+
+      const query = Object.fromEntries(Object.entries({
+        provider: this.#provider(req),
+        limit,
+        scope,
+        labels,
+        milestone,
+        state,
+        due_date: dueDate,
+        order_by: orderBy,
+        sort
+      }).filter(([, value]) => value))
+
+      this.#respond(req, res, 'issues', {
+        ...issues,
+        basePath: 'issues',
+        query,
+        filterOptions: ISSUE_FILTERS
+      }, this.#pageBody(req, issues.issues, issues, query))
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Gets the name of the identity provider to fetch resources from, the one
+   * the user logged in with unless another linked one is asked for.
+   *
+   * @param {object} req - Express request object.
+   * @returns {string} The provider's name.
+   */
+  #provider (req) {
+    return req.query.provider || req.session.user.provider
+  }
+
+  /**
+   * Gets the cache options of a request. "?refresh=1" bypasses the cache.
+   *
+   * @param {object} req - Express request object.
+   * @returns {{ refresh: boolean }} The cache options.
+   */
+  #cacheOptions (req) {
+    return { refresh: req.query.refresh === '1' }
+  }
+
+  /**
+   * Gets the page of groups and projects asked for, the page sizes from
+   * "groups" and "projects" and the cursor from "after".
+   *
+   * @param {object} req - Express request object.
+   * @returns {{ groups: number, projects: number, after: string|undefined }} The page.
+   */
+  #groupsPage (req) {
+    return {
+      groups: this.#pageSize(req.query.groups, 'groups', 3),
+      projects: this.#pageSize(req.query.projects, 'projects', 5),
+      after: req.query.after || undefined
+    }
+  }
+
+  /**
+   * Responds with JSON if the client asks for it, otherwise renders a view,
+   * letting the user know if the cache was bypassed.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {string} view - The view to render.
+   * @param {object} locals - The data of the view.
+   * @param {object} body - The JSON response body.
+   */
+  #respond (req, res, view, locals, body) {
+    if (wantsJson(req)) {
+      res.json(body)
+      return
+    }
+
+    if (this.#cacheOptions(req).refresh && locals.layout !== false) {
+      req.flash('info', 'The page was refreshed with the latest data from GitLab.')
+    }
+
+    res.render(view, locals)
+  }
+
+  /**
+   * Creates the JSON response body of a numbered page, e.g. of activities,
+   * with the page metadata and links to the neighbouring pages.
+   *
+   * @param {object} req - Express request object.
+   * @param {object[]} data - The items of the page.
+   * @param {object} pageInfo - The page data, as fetched by the service.
+   * @param {object} query - The query parameters to keep in the links.
+   * @returns {object} The response body.
+   */
+  #pageBody (req, data, pageInfo, query) {
+    const { page, limit, total, totalPages, hasNextPage } = pageInfo
+
+    return {
+      data,
+      meta: { page, limit, total: total ?? null, totalPages: totalPages ?? null, hasNextPage },
+      links: {
+        self: this.#link(req, { ...query, page }),
+        first: this.#link(req, { ...query, page: 1 }),
+        prev: page > 1 ? this.#link(req, { ...query, page: page - 1 }) : null,
+        next: hasNextPage ? this.#link(req, { ...query, page: page + 1 }) : null,
+        last: totalPages ? this.#link(req, { ...query, page: totalPages }) : null
+      }
+    }
+  }
+
+  /**
+   * Creates the JSON response body of a page of a GraphQL connection, e.g.
+   * groups, with the page metadata and links to the neighbouring pages.
+   *
+   * @param {object} req - Express request object.
+   * @param {{ nodes: object[], pageInfo: object }} connection - The page.
+   * @param {object} page - The page asked for.
+   * @returns {object} The response body.
+   */
+  #connectionBody (req, connection, page) {
+    const { nodes, pageInfo } = connection
+    const { after, before, ...query } = req.query
+    const cursor = Object.fromEntries(Object.entries({ after, before }).filter(([, value]) => value))
+
+    return {
+      data: nodes,
+      meta: { ...page, ...pageInfo },
+      links: {
+        self: this.#link(req, { ...query, ...cursor }),
+        prev: pageInfo.hasPreviousPage ? this.#link(req, { ...query, before: pageInfo.startCursor }) : null,
+        next: pageInfo.hasNextPage ? this.#link(req, { ...query, after: pageInfo.endCursor }) : null
+      }
+    }
+  }
+
+  /**
+   * Creates a link to the requested resource with other query parameters.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} query - The query parameters.
+   * @returns {string} The link.
+   */
+  #link (req, query) {
+    return `${req.baseUrl}${req.path}?${new URLSearchParams(query)}`
+  }
+
+  /**
+   * Writes a chunk to a response, waiting for the client to catch up if its buffer is full.
+   *
+   * @param {object} res - Express response object.
+   * @param {string} chunk - The chunk.
+   */
+  async #write (res, chunk) {
+    if (!res.write(chunk)) {
+      await new Promise((resolve) => {
+        res.once('drain', resolve)
+        res.once('close', resolve)
+      })
+    }
+  }
+
+  /**
+   * Gets the activity filters asked for.
+   *
+   * @param {object} req - Express request object.
+   * @returns {object} The filters.
+   */
+  #activityFilters (req) {
+    const { action, target_type: targetType, after, before, sort } = req.query
+
+    return { action, targetType, after, before, sort }
+  }
+
+  /**
+   * Gets the query parameters to keep when moving between pages of activities.
+   *
+   * @param {object} req - Express request object.
+   * @param {number} limit - The number of activities per page.
+   * @returns {object} The query parameters, without empty ones.
+   */
+  #activityQuery (req, limit) {
+    const { action, target_type: targetType, after, before, sort } = req.query
+    const query = { provider: this.#provider(req), limit, action, target_type: targetType, after, before, sort }
+
+    return Object.fromEntries(Object.entries(query).filter(([, value]) => value))
+  }
+
+  /**
+   * Parses a page number from the "page" query parameter.
+   *
+   * @param {string} [value] - The value of the query parameter.
+   * @returns {number} The page number, 1 if the parameter is missing.
+   */
+  #pageNumber (value) {
+    return this.#positiveInteger(value, 'page', 1)
+  }
+
+  /**
+   * Parses a page size from a query parameter, capped at the largest page size GitLab accepts.
+   *
+   * @param {string} [value] - The value of the query parameter.
+   * @param {string} name - The name of the query parameter.
+   * @param {number} defaultSize - The page size if the parameter is missing.
+   * @returns {number} The page size.
+   */
+  #pageSize (value, name, defaultSize) {
+    return Math.min(this.#positiveInteger(value, name, defaultSize), MAX_PAGE_SIZE)
+  }
+
+  /**
+   * Parses a positive whole number from a query parameter.
+   *
+   * @param {string} [value] - The value of the query parameter.
+   * @param {string} name - The name of the query parameter.
+   * @param {number} defaultValue - The number if the parameter is missing.
+   * @returns {number} The number.
+   */
+  #positiveInteger (value, name, defaultValue) {
+    if (value === undefined || value === '') {
+      return defaultValue
+    }
+
+    const number = Number(value)
+
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(number) || number < 1) {
+      throw new ValidationError({ message: `"${name}" must be a positive whole number.`, data: { [name]: value } })
+    }
+
+    return number
+  }
 }
@@ -0,0 +1,83 @@
+/**
+ * @file Defines the SessionController class.
+ * @module SessionController
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { convertToHttpError } from '../lib/util.js'
+import { SessionService } from '../services/SessionService.js'
+
+/**
+ * Encapsulates a controller.
+ */
+export class SessionController {
+  /**
+   * The service.
+   *
+   * @type {SessionService}
+   */
+  #service
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {SessionService} service - A service instantiated from a class with the same capabilities as SessionService.
+   */
+  constructor (service) {
+    this.#service = service
+  }
+
+  /**
+   * Renders page with the user's active sessions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async index (req, res, next) {
+    try {
+      const sessions = await this.#service.listSessions(req.sessionStore, req.session)
+
+      res.render('sessions', { sessions })
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Revokes one of the user's other sessions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revoke (req, res, next) {
+    try {
+      await this.#service.revokeSession(req.sessionStore, req.session, req.params.id)
+
+      req.flash('success', 'The session was revoked.')
+      res.redirect('/sessions')
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+
+  /**
+   * Revokes all of the user's other sessions.
+   *
+   * @param {object} req - Express request object.
+   * @param {object} res - Express response object.
+   * @param {Function} next - Express next middleware function.
+   */
+  async revokeOthers (req, res, next) {
+    try {
+      const count = await this.#service.revokeOtherSessions(req.sessionStore, req.session)
+
+      req.flash('success', `${count} other session${count === 1 ? ' was' : 's were'} revoked.`)
+      res.redirect('/sessions')
+    } catch (error) {
+      next(convertToHttpError(error))
+    }
+  }
+}
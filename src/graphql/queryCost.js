@@ -0,0 +1,130 @@
+/**
+ * @file This module measures how deep and costly a GraphQL query is, so that
+ * queries making too many requests to GitLab can be rejected up front.
+ * @module queryCost
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import { Kind } from 'graphql'
+
+// Application modules.
+import { DEFAULT_PAGE_SIZES } from './schema.js'
+
+/**
+ * The names of the arguments setting the size of a page.
+ *
+ * @type {string[]}
+ */
+const PAGE_SIZE_ARGUMENTS = ['first', 'limit']
+
+/**
+ * Gets the value of an argument of a field, following variables.
+ *
+ * @param {object} field - The field node.
+ * @param {string} name - The name of the argument.
+ * @param {object} variables - The variables of the operation.
+ * @returns {*} The value, or undefined if the argument isn't given.
+ */
+const argumentValue = (field, name, variables) => {
+  const argument = field.arguments?.find((argument) => argument.name.value === name)
+
+  if (!argument) {
+    return undefined
+  }
+
+  if (argument.value.kind === Kind.VARIABLE) {
+    return variables[argument.value.name.value]
+  }
+
+  return argument.value.kind === Kind.INT ? Number(argument.value.value) : undefined
+}
+
+/**
+ * Gets the number of items a field returns a list of, or 1 for any other field.
+ *
+ * @param {object} field - The field node.
+ * @param {object} variables - The variables of the operation.
+ * @returns {number} The number of items.
+ */
+const multiplier = (field, variables) => {
+  for (const name of PAGE_SIZE_ARGUMENTS) {
+    const value = argumentValue(field, name, variables)
+
+    if (Number.isInteger(value) && value > 0) {
+      return value
+    }
+  }
+
+  return DEFAULT_PAGE_SIZES[field.name.value] ?? 1
+}
+
+/**
+ * Measures a selection set.
+ *
+ * @param {object} selectionSet - The selection set node.
+ * @param {object} fragments - The fragment definitions, keyed by name.
+ * @param {object} variables - The variables of the operation.
+ * @param {Set<string>} visited - The fragments being measured, to stop at cycles.
+ * @returns {{ depth: number, complexity: number }} The depth and complexity.
+ */
+const measureSelectionSet = (selectionSet, fragments, variables, visited) => {
+  let depth = 0
+  let complexity = 0
+
+  for (const selection of selectionSet?.selections ?? []) {
+    let measure
+
+    if (selection.kind === Kind.FIELD) {
+      const children = measureSelectionSet(selection.selectionSet, fragments, variables, visited)
+
+      measure = {
+        depth: selection.selectionSet ? children.depth + 1 : 1,
+        complexity: 1 + children.complexity * multiplier(selection, variables)
+      }
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      measure = measureSelectionSet(selection.selectionSet, fragments, variables, visited)
+    } else {
+      const name = selection.name.value
+
+      if (visited.has(name) || !fragments[name]) {
+        continue
+      }
+
+      measure = measureSelectionSet(fragments[name].selectionSet, fragments, variables, new Set([...visited, name]))
+    }
+
+    depth = Math.max(depth, measure.depth)
+    complexity += measure.complexity
+  }
+
+  return { depth, complexity }
+}
+
+/**
+ * Measures the depth and complexity of an operation. Every field costs 1,
+ * and the fields below a paged field cost once per item of the page.
+ *
+ * @param {object} document - The parsed query document.
+ * @param {string} [operationName] - The name of the operation to measure.
+ * @param {object} [variables] - The variables of the operation.
+ * @returns {{ depth: number, complexity: number }} The depth and complexity.
+ */
+export const measureQuery = (document, operationName, variables = {}) => {
+  const fragments = {}
+  const operations = []
+
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition)
+    }
+  }
+
+  const operation = operationName
+    ? operations.find((definition) => definition.name?.value === operationName)
+    : operations[0]
+
+  return measureSelectionSet(operation?.selectionSet, fragments, variables ?? {}, new Set())
+}
@@ -0,0 +1,301 @@
+/**
+ * @file This module defines the schema of the application's own GraphQL API.
+ * @module schema
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import {
+  GraphQLBoolean,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString
+} from 'graphql'
+
+/**
+ * The number of items in a page when no size is asked for.
+ */
+export const DEFAULT_PAGE_SIZES = {
+  groups: 3,
+  projects: 5,
+  activities: 20
+}
+
+/**
+ * Wraps a type as a non-null list of non-null items.
+ *
+ * @param {GraphQLObjectType} type - The item type.
+ * @returns {GraphQLNonNull} The list type.
+ */
+const listOf = (type) => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)))
+
+/**
+ * Creates a resolver resolving a field from a differently named property,
+ * e.g. the snake_case properties of GitLab's REST API.
+ *
+ * @param {string} name - The name of the property.
+ * @returns {Function} The resolver.
+ */
+const fromProperty = (name) => (source) => source[name]
+
+const PageInfo = new GraphQLObjectType({
+  name: 'PageInfo',
+  fields: {
+    hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+    endCursor: { type: GraphQLString }
+  }
+})
+
+const Account = new GraphQLObjectType({
+  name: 'Account',
+  description: 'An identity provider and whether an account from it is linked to the session.',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    displayName: { type: new GraphQLNonNull(GraphQLString) },
+    isPrimary: { type: new GraphQLNonNull(GraphQLBoolean) },
+    isLinked: { type: new GraphQLNonNull(GraphQLBoolean) }
+  }
+})
+
+const Profile = new GraphQLObjectType({
+  name: 'Profile',
+  fields: {
+    id: { type: new GraphQLNonNull(GraphQLString) },
+    email: { type: GraphQLString },
+    username: { type: GraphQLString },
+    name: { type: GraphQLString },
+    avatar: { type: GraphQLString },
+    lastActivityOn: { type: GraphQLString }
+  }
+})
+
+const Author = new GraphQLObjectType({
+  name: 'Author',
+  fields: {
+    name: { type: GraphQLString },
+    username: { type: GraphQLString }
+  }
+})
+
+const Commit = new GraphQLObjectType({
+  name: 'Commit',
+  fields: {
+    committedDate: { type: GraphQLString },
+    authorGravatar: { type: GraphQLString },
+    author: { type: Author }
+  }
+})
+
+const Pipeline = new GraphQLObjectType({
+  name: 'Pipeline',
+  fields: {
+    status: { type: new GraphQLNonNull(GraphQLString) },
+    webPath: { type: GraphQLString }
+  }
+})
+
+const Project = new GraphQLObjectType({
+  name: 'Project',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    fullPath: { type: new GraphQLNonNull(GraphQLString) },
+    webUrl: { type: GraphQLString },
+    avatarUrl: { type: GraphQLString },
+    lastCommit: {
+      type: Commit,
+      /**
+       * Resolves the last commit of the project's default branch.
+       *
+       * @param {object} project - The project, as fetched from GitLab.
+       * @returns {object|undefined} The commit, undefined if the repository is empty.
+       */
+      resolve: (project) => project.repository?.tree?.lastCommit
+    },
+    lastPipeline: {
+      type: Pipeline,
+      /**
+       * Resolves the latest pipeline of the last commit of the project's default branch.
+       *
+       * @param {object} project - The project, as fetched from GitLab.
+       * @returns {object|undefined} The pipeline, undefined if there is none.
+       */
+      resolve: (project) => project.repository?.tree?.lastCommit?.pipelines?.nodes[0]
+    }
+  }
+})
+
+const ProjectConnection = new GraphQLObjectType({
+  name: 'ProjectConnection',
+  fields: {
+    nodes: { type: listOf(Project) },
+    pageInfo: { type: new GraphQLNonNull(PageInfo) }
+  }
+})
+
+const Group = new GraphQLObjectType({
+  name: 'Group',
+  fields: {
+    name: { type: new GraphQLNonNull(GraphQLString) },
+    fullPath: { type: new GraphQLNonNull(GraphQLString) },
+    webUrl: { type: GraphQLString },
+    avatarUrl: { type: GraphQLString },
+    projects: {
+      type: new GraphQLNonNull(ProjectConnection),
+      args: {
+        first: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_SIZES.projects },
+        after: { type: GraphQLString }
+      },
+      /**
+       * Resolves a page of the group's projects.
+       *
+       * @param {object} group - The group.
+       * @param {object} args - The arguments.
+       * @param {number} args.first - The number of projects per page.
+       * @param {string} [args.after] - The cursor of the last project of the previous page.
+       * @param {object} context - The context of the request.
+       * @returns {object|Promise<object>} The projects and page info.
+       */
+      resolve: (group, { first, after }, context) => {
+        // The first page of projects comes along with the group, unless another size is asked for.
+        if (!after && first === group.prefetchedProjectsSize) {
+          return group.projects
+        }
+
+        return context.loadProjects(group.provider, group.fullPath, { projects: first, after })
+      }
+    }
+  }
+})
+
+const GroupConnection = new GraphQLObjectType({
+  name: 'GroupConnection',
+  fields: {
+    nodes: { type: listOf(Group) },
+    pageInfo: { type: new GraphQLNonNull(PageInfo) }
+  }
+})
+
+const Activity = new GraphQLObjectType({
+  name: 'Activity',
+  fields: {
+    id: { type: new GraphQLNonNull(GraphQLInt) },
+    actionName: { type: GraphQLString, resolve: fromProperty('action_name') },
+    createdAt: { type: GraphQLString, resolve: fromProperty('created_at') },
+    targetType: { type: GraphQLString, resolve: fromProperty('target_type') },
+    targetTitle: { type: GraphQLString, resolve: fromProperty('target_title') },
+    projectId: { type: GraphQLInt, resolve: fromProperty('project_id') },
+    authorUsername: { type: GraphQLString, resolve: fromProperty('author_username') }
+  }
+})
+
+const ActivityPage = new GraphQLObjectType({
+  name: 'ActivityPage',
+  fields: {
+    nodes: { type: listOf(Activity), resolve: fromProperty('activities') },
+    page: { type: new GraphQLNonNull(GraphQLInt) },
+    limit: { type: new GraphQLNonNull(GraphQLInt) },
+    total: { type: GraphQLInt },
+    totalPages: { type: GraphQLInt },
+    hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) }
+  }
+})
+
+/**
+ * The arguments naming the identity provider to fetch from.
+ */
+const providerArgs = {
+  provider: { type: GraphQLString, description: 'The identity provider to fetch from, by default the one the user logged in with.' }
+}
+
+const Query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    accounts: {
+      type: listOf(Account),
+      /**
+       * Resolves the identity providers and whether an account from each is linked.
+       *
+       * @param {object} root - The root value.
+       * @param {object} args - The arguments.
+       * @param {object} context - The context of the request.
+       * @returns {object[]} The accounts.
+       */
+      resolve: (root, args, context) => context.service.listAccounts(context.session)
+    },
+    me: {
+      type: new GraphQLNonNull(Profile),
+      args: providerArgs,
+      /**
+       * Resolves the profile of the logged in user.
+       *
+       * @param {object} root - The root value.
+       * @param {object} args - The arguments.
+       * @param {string} [args.provider] - The identity provider to fetch from.
+       * @param {object} context - The context of the request.
+       * @returns {Promise<object>} The profile.
+       */
+      resolve: (root, { provider }, context) => context.service.fetchProfile(context.session, context.provider(provider))
+    },
+    groups: {
+      type: new GraphQLNonNull(GroupConnection),
+      args: {
+        ...providerArgs,
+        first: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_SIZES.groups },
+        after: { type: GraphQLString }
+      },
+      /**
+       * Resolves a page of the user's groups, each with the first page of its
+       * projects, which saves a request per group when those are asked for.
+       *
+       * @param {object} root - The root value.
+       * @param {object} args - The arguments.
+       * @param {string} [args.provider] - The identity provider to fetch from.
+       * @param {number} args.first - The number of groups per page.
+       * @param {string} [args.after] - The cursor of the last group of the previous page.
+       * @param {object} context - The context of the request.
+       * @returns {Promise<object>} The groups and page info.
+       */
+      resolve: async (root, { provider, first, after }, context) => {
+        const name = context.provider(provider)
+        const projects = DEFAULT_PAGE_SIZES.projects
+        const groups = await context.service.fetchGroups(context.session, name, { groups: context.pageSize(first), projects, after })
+
+        return {
+          ...groups,
+          nodes: groups.nodes.map((group) => ({ ...group, provider: name, prefetchedProjectsSize: projects }))
+        }
+      }
+    },
+    activities: {
+      type: new GraphQLNonNull(ActivityPage),
+      args: {
+        ...providerArgs,
+        page: { type: GraphQLInt, defaultValue: 1 },
+        limit: { type: GraphQLInt, defaultValue: DEFAULT_PAGE_SIZES.activities },
+        action: { type: GraphQLString },
+        targetType: { type: GraphQLString },
+        after: { type: GraphQLString, description: 'Only activities after this date, YYYY-MM-DD.' },
+        before: { type: GraphQLString, description: 'Only activities before this date, YYYY-MM-DD.' },
+        sort: { type: GraphQLString, description: '"asc" or "desc".' }
+      },
+      /**
+       * Resolves a page of the user's activities.
+       *
+       * @param {object} root - The root value.
+       * @param {object} args - The arguments.
+       * @param {string} [args.provider] - The identity provider to fetch from.
+       * @param {number} args.page - The page number.
+       * @param {number} args.limit - The number of activities per page.
+       * @param {object} context - The context of the request.
+       * @returns {Promise<object>} The activities and page info.
+       */
+      resolve: (root, { provider, page, limit, ...filters }, context) =>
+        context.service.fetchActivities(context.session, context.provider(provider), context.pageNumber(page), context.pageSize(limit), filters)
+    }
+  }
+})
+
+export const schema = new GraphQLSchema({ query: Query })
@@ -0,0 +1,83 @@
+/**
+ * @file This file defines the BatchLoader class.
+ * @module BatchLoader
+ * @author Daniel Andersson
+ */
+
+/**
+ * Collects the keys loaded during one turn of the event loop and loads them
+ * all with a single call, so that e.g. the resolvers of a list of GraphQL
+ * objects cause one request instead of one each. Loaded keys are remembered,
+ * so a loader is meant to live as long as a request.
+ *
+ * @class BatchLoader
+ */
+export class BatchLoader {
+  /**
+   * Loads values for keys, resolving to the values in the same order as the keys.
+   *
+   * @type {Function}
+   */
+  #batch
+
+  /**
+   * The promises of the values, keyed by key.
+   *
+   * @type {Map<string, Promise>}
+   */
+  #promises
+
+  /**
+   * The keys waiting to be loaded, with the functions settling their promises.
+   *
+   * @type {Array<{ key: string, resolve: Function, reject: Function }>}
+   */
+  #queue
+
+  /**
+   * Creates an instance of BatchLoader.
+   *
+   * @param {Function} batch - Called with an array of keys, resolves to an array of values in the same order. A value that is an error rejects the load of its key only.
+   */
+  constructor (batch) {
+    this.#batch = batch
+    this.#promises = new Map()
+    this.#queue = []
+  }
+
+  /**
+   * Loads the value of a key.
+   *
+   * @param {string} key - The key.
+   * @returns {Promise<*>} The value.
+   */
+  load (key) {
+    if (!this.#promises.has(key)) {
+      this.#promises.set(key, new Promise((resolve, reject) => {
+        if (!this.#queue.length) {
+          setImmediate(() => this.#dispatch())
+        }
+
+        this.#queue.push({ key, resolve, reject })
+      }))
+    }
+
+    return this.#promises.get(key)
+  }
+
+  /**
+   * Loads the queued keys.
+   */
+  async #dispatch () {
+    const queue = this.#queue
+    this.#queue = []
+
+    try {
+      const values = await this.#batch(queue.map(({ key }) => key))
+
+      queue.forEach(({ resolve, reject }, index) => values[index] instanceof Error ? reject(values[index]) : resolve(values[index]))
+    } catch (error) {
+      queue.forEach(({ reject }) => reject(error))
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * @file This file defines the EncryptedSessionStore class.
+ * @module EncryptedSessionStore
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import session from 'express-session'
+
+// Application modules.
+import { TokenCipher } from './TokenCipher.js'
+
+/**
+ * A session store wrapping another store, encrypting a set of session
+ * properties before they reach it and decrypting them on the way back. A
+ * session encrypted with an old key is re-encrypted with the current key as
+ * soon as it's read.
+ *
+ * @class EncryptedSessionStore
+ */
+export class EncryptedSessionStore extends session.Store {
+  /**
+   * The store the encrypted sessions are kept in.
+   *
+   * @type {session.Store}
+   */
+  #store
+
+  /**
+   * The cipher.
+   *
+   * @type {TokenCipher}
+   */
+  #cipher
+
+  /**
+   * The names of the session properties to encrypt.
+   *
+   * @type {string[]}
+   */
+  #properties
+
+  /**
+   * Creates an instance of EncryptedSessionStore.
+   *
+   * @param {object} options - An object that has the following properties:
+   * @param {session.Store} options.store - The store the encrypted sessions are kept in.
+   * @param {TokenCipher} options.cipher - The cipher.
+   * @param {string[]} options.properties - The names of the session properties to encrypt.
+   */
+  constructor ({ store, cipher, properties }) {
+    super()
+
+    this.#store = store
+    this.#cipher = cipher
+    this.#properties = properties
+
+    store.on?.('error', (error) => this.emit('error', error))
+  }
+
+  /**
+   * Gets and decrypts a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {Function} callback - Called with an error, or the session if it exists.
+   */
+  get (sid, callback) {
+    this.#store.get(sid, (error, sess) => {
+      if (error || !sess) {
+        callback(error, sess)
+        return
+      }
+
+      let decrypted
+
+      try {
+        decrypted = this.#decrypt(sess)
+      } catch (error) {
+        // Tokens that can't be decrypted are useless, log the user out instead of failing every request.
+        this.emit('error', error)
+        callback(null, this.#withoutUser(sess))
+        return
+      }
+
+      // Rotate the key of sessions encrypted with an old one.
+      if (this.#properties.some((property) => sess[property] && sess[property].kid !== this.#cipher.currentKeyId)) {
+        this.#store.set(sid, this.#encrypt(decrypted), (error) => error && this.emit('error', error))
+      }
+
+      callback(null, decrypted)
+    })
+  }
+
+  /**
+   * Encrypts and stores a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {object} sess - The session.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  set (sid, sess, callback) {
+    this.#store.set(sid, this.#encrypt(sess), callback)
+  }
+
+  /**
+   * Refreshes the expiry of a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {object} sess - The session.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  touch (sid, sess, callback) {
+    if (this.#store.touch) {
+      this.#store.touch(sid, this.#encrypt(sess), callback)
+    } else {
+      this.set(sid, sess, callback)
+    }
+  }
+
+  /**
+   * Destroys a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  destroy (sid, callback) {
+    this.#store.destroy(sid, callback)
+  }
+
+  /**
+   * Gets all sessions, without decrypting them.
+   *
+   * @param {Function} callback - Called with an error, or an object with the sessions keyed by ID.
+   */
+  all (callback) {
+    this.#store.all(callback)
+  }
+
+  /**
+   * Counts the sessions.
+   *
+   * @param {Function} callback - Called with an error, or the number of sessions.
+   */
+  length (callback) {
+    this.#store.length(callback)
+  }
+
+  /**
+   * Destroys all sessions.
+   *
+   * @param {Function} callback - Called with an error, if any.
+   */
+  clear (callback) {
+    this.#store.clear(callback)
+  }
+
+  /**
+   * Encrypts the configured properties of a session.
+   *
+   * @param {object} sess - The session.
+   * @returns {object} A copy of the session with the properties encrypted.
+   */
+  #encrypt (sess) {
+    const encrypted = { ...sess }
+
+    for (const property of this.#properties) {
+      if (sess[property] !== undefined) {
+        encrypted[property] = this.#cipher.encrypt(sess[property])
+      }
+    }
+
+    return encrypted
+  }
+
+  /**
+   * Decrypts the configured properties of a session.
+   *
+   * @param {object} sess - The session.
+   * @returns {object} A copy of the session with the properties decrypted.
+   */
+  #decrypt (sess) {
+    const decrypted = { ...sess }
+
+    for (const property of this.#properties) {
+      if (sess[property] !== undefined) {
+        decrypted[property] = this.#cipher.decrypt(sess[property])
+      }
+    }
+
+    return decrypted
+  }
+
+  /**
+   * Removes the user and the encrypted properties from a session.
+   *
+   * @param {object} sess - The session.
+   * @returns {object} A copy of the session without the user.
+   */
+  #withoutUser (sess) {
+    const { user, ...rest } = sess
+
+    for (const property of this.#properties) {
+      delete rest[property]
+    }
+
+    return rest
+  }
+}
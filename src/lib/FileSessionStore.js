@@ -0,0 +1,306 @@
+/**
+ * @file This file defines the FileSessionStore class.
+ * @module FileSessionStore
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { randomUUID } from 'node:crypto'
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// User-land modules.
+import session from 'express-session'
+
+/**
+ * Session IDs are used as file names, so only URL-safe characters are accepted.
+ *
+ * @type {RegExp}
+ */
+const sessionIdRegex = /^[\w-]+$/
+
+/**
+ * The number of milliseconds after which a temporary file is left over from
+ * a write that never finished, e.g. because the server stopped.
+ *
+ * @type {number}
+ */
+const temporaryFileMaxAge = 1000 * 60
+
+/**
+ * A session store keeping one JSON file per session in a directory. It
+ * survives restarts and works locally without any database.
+ *
+ * @class FileSessionStore
+ */
+export class FileSessionStore extends session.Store {
+  /**
+   * The directory the sessions are stored in.
+   *
+   * @type {string}
+   */
+  #path
+
+  /**
+   * The number of milliseconds a session without a cookie expiry lives.
+   *
+   * @type {number}
+   */
+  #ttl
+
+  /**
+   * Creates an instance of FileSessionStore.
+   *
+   * @param {object} options - An object that has the following properties:
+   * @param {string} options.path - The directory to store the sessions in.
+   * @param {number} [options.ttl] - The number of milliseconds a session without a cookie expiry lives.
+   * @param {number} [options.reapInterval] - The number of milliseconds between removals of expired sessions.
+   */
+  constructor ({ path, ttl = 1000 * 60 * 60 * 24, reapInterval = 1000 * 60 * 15 }) {
+    super()
+
+    this.#path = path
+    this.#ttl = ttl
+
+    setInterval(() => this.#reap(), reapInterval).unref()
+  }
+
+  /**
+   * Gets a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {Function} callback - Called with an error, or the session if it exists and hasn't expired.
+   */
+  get (sid, callback) {
+    this.#callbackify(this.#read(sid), callback)
+  }
+
+  /**
+   * Creates or replaces a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {object} sess - The session.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  set (sid, sess, callback) {
+    this.#callbackify(this.#write(sid, sess), callback)
+  }
+
+  /**
+   * Refreshes the expiry of a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {object} sess - The session.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  touch (sid, sess, callback) {
+    this.#callbackify(this.#write(sid, sess), callback)
+  }
+
+  /**
+   * Destroys a session.
+   *
+   * @param {string} sid - The session ID.
+   * @param {Function} callback - Called with an error, if any.
+   */
+  destroy (sid, callback) {
+    this.#callbackify(this.#remove(sid), callback)
+  }
+
+  /**
+   * Gets all sessions that haven't expired.
+   *
+   * @param {Function} callback - Called with an error, or an object with the sessions keyed by ID.
+   */
+  all (callback) {
+    this.#callbackify(this.#readAll(), callback)
+  }
+
+  /**
+   * Counts the sessions that haven't expired.
+   *
+   * @param {Function} callback - Called with an error, or the number of sessions.
+   */
+  length (callback) {
+    this.#callbackify(this.#readAll().then((sessions) => Object.keys(sessions).length), callback)
+  }
+
+  /**
+   * Destroys all sessions.
+   *
+   * @param {Function} callback - Called with an error, if any.
+   */
+  clear (callback) {
+    this.#callbackify(rm(this.#path, { recursive: true, force: true }), callback)
+  }
+
+  /**
+   * Reads a session file, removing it if the session has expired or the file
+   * is corrupt.
+   *
+   * @param {string} sid - The session ID.
+   * @returns {Promise<object|undefined>} The session.
+   */
+  async #read (sid) {
+    let record
+
+    try {
+      record = JSON.parse(await readFile(this.#file(sid), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined
+      }
+
+      // A truncated or otherwise corrupt session can't be used, and must not
+      // keep the other sessions from being read.
+      if (error instanceof SyntaxError) {
+        await this.#remove(sid)
+        return undefined
+      }
+
+      throw error
+    }
+
+    if (record.expires <= Date.now()) {
+      await this.#remove(sid)
+      return undefined
+    }
+
+    return record.session
+  }
+
+  /**
+   * Reads all session files.
+   *
+   * @returns {Promise<object>} The sessions keyed by ID.
+   */
+  async #readAll () {
+    const sessions = {}
+
+    for (const sid of await this.#ids()) {
+      const sess = await this.#read(sid)
+
+      if (sess) {
+        sessions[sid] = sess
+      }
+    }
+
+    return sessions
+  }
+
+  /**
+   * Writes a session file. The file is replaced atomically, so a concurrent
+   * read never sees a partially written session. Every write has a temporary
+   * file of its own, as parallel requests may save a session at once.
+   *
+   * @param {string} sid - The session ID.
+   * @param {object} sess - The session.
+   */
+  async #write (sid, sess) {
+    const expires = sess.cookie?.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + this.#ttl
+    const file = this.#file(sid)
+    const temporaryFile = `${file}.${randomUUID()}.tmp`
+
+    await mkdir(this.#path, { recursive: true, mode: 0o700 })
+    await writeFile(temporaryFile, JSON.stringify({ expires, session: sess }), { mode: 0o600 })
+    await rename(temporaryFile, file)
+  }
+
+  /**
+   * Removes a session file.
+   *
+   * @param {string} sid - The session ID.
+   */
+  async #remove (sid) {
+    await rm(this.#file(sid), { force: true })
+  }
+
+  /**
+   * Removes the files of expired sessions, and temporary files left over from
+   * writes that never finished.
+   */
+  async #reap () {
+    try {
+      // Reading a session removes it if it has expired.
+      await this.#readAll()
+      await this.#removeTemporaryFiles()
+    } catch (error) {
+      this.emit('error', error)
+    }
+  }
+
+  /**
+   * Removes the temporary files older than temporaryFileMaxAge.
+   */
+  async #removeTemporaryFiles () {
+    let files
+
+    try {
+      files = (await readdir(this.#path)).filter((file) => file.endsWith('.tmp'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return
+      }
+
+      throw error
+    }
+
+    for (const file of files) {
+      const path = join(this.#path, file)
+
+      try {
+        if (Date.now() - (await stat(path)).mtimeMs > temporaryFileMaxAge) {
+          await rm(path, { force: true })
+        }
+      } catch (error) {
+        // The write may have finished and renamed the file meanwhile.
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+    }
+  }
+
+  /**
+   * Lists the IDs of the stored sessions.
+   *
+   * @returns {Promise<string[]>} The session IDs.
+   */
+  async #ids () {
+    try {
+      return (await readdir(this.#path))
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => file.slice(0, -'.json'.length))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Gets the path to the file of a session.
+   *
+   * @param {string} sid - The session ID.
+   * @returns {string} The path.
+   */
+  #file (sid) {
+    if (!sessionIdRegex.test(sid)) {
+      throw new Error(`"${sid}" is not a valid session ID.`)
+    }
+
+    return join(this.#path, `${sid}.json`)
+  }
+
+  /**
+   * Settles a callback with the outcome of a promise.
+   *
+   * @param {Promise} promise - The promise.
+   * @param {Function} [callback] - The callback.
+   */
+  #callbackify (promise, callback) {
+    promise.then((value) => callback?.(null, value), (error) => callback?.(error))
+  }
+}
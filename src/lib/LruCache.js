@@ -0,0 +1,97 @@
+/**
+ * @file This file defines the LruCache class.
+ * @module LruCache
+ * @author Daniel Andersson
+ */
+
+/**
+ * An in-memory cache that evicts the least recently used entry when it's
+ * full, and entries that have outlived their time to live. Its methods return
+ * promises so it can be swapped for a store kept outside the process.
+ *
+ * @class LruCache
+ */
+export class LruCache {
+  /**
+   * The entries, least recently used first.
+   *
+   * @type {Map<string, { value: *, expires: number }>}
+   */
+  #entries
+
+  /**
+   * The maximum number of entries.
+   *
+   * @type {number}
+   */
+  #maxEntries
+
+  /**
+   * The number of milliseconds an entry lives unless told otherwise.
+   *
+   * @type {number}
+   */
+  #ttl
+
+  /**
+   * Creates an instance of LruCache.
+   *
+   * @param {object} options - An object that has the following properties:
+   * @param {number} [options.maxEntries] - The maximum number of entries.
+   * @param {number} [options.ttl] - The number of milliseconds an entry lives unless told otherwise.
+   */
+  constructor ({ maxEntries = 1000, ttl = 1000 * 60 * 60 } = {}) {
+    this.#entries = new Map()
+    this.#maxEntries = maxEntries
+    this.#ttl = ttl
+  }
+
+  /**
+   * Gets a value, marking it as the most recently used.
+   *
+   * @param {string} key - The key.
+   * @returns {Promise<*>} The value, or undefined if there is none or it has expired.
+   */
+  async get (key) {
+    const entry = this.#entries.get(key)
+
+    if (!entry) {
+      return undefined
+    }
+
+    this.#entries.delete(key)
+
+    if (entry.expires <= Date.now()) {
+      return undefined
+    }
+
+    this.#entries.set(key, entry)
+
+    return entry.value
+  }
+
+  /**
+   * Sets a value, evicting the least recently used entry if the cache is full.
+   *
+   * @param {string} key - The key.
+   * @param {*} value - The value.
+   * @param {number} [ttl] - The number of milliseconds the entry lives.
+   */
+  async set (key, value, ttl = this.#ttl) {
+    this.#entries.delete(key)
+    this.#entries.set(key, { value, expires: Date.now() + ttl })
+
+    if (this.#entries.size > this.#maxEntries) {
+      this.#entries.delete(this.#entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Removes a value.
+   *
+   * @param {string} key - The key.
+   */
+  async delete (key) {
+    this.#entries.delete(key)
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * @file This file defines the TokenCipher class.
+ * @module TokenCipher
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto'
+
+/**
+ * The authenticated cipher used.
+ *
+ * @type {string}
+ */
+const ALGORITHM = 'aes-256-gcm'
+
+/**
+ * Encrypts and decrypts values with AES-256-GCM. Several keys can be known
+ * at once, each with an ID, to support key rotation: values are always
+ * encrypted with the first key, but can be decrypted with any of them.
+ *
+ * @class TokenCipher
+ */
+export class TokenCipher {
+  /**
+   * The keys, keyed by key ID. The first one is the current key.
+   *
+   * @type {Map<string, Buffer>}
+   */
+  #keys
+
+  /**
+   * Creates an instance of TokenCipher.
+   *
+   * @param {string} keys - A comma-separated list of keys on the form "<key ID>:<base64 encoded 32-byte key>", the current key first.
+   */
+  constructor (keys) {
+    this.#keys = new Map(keys.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+      const [kid, key] = entry.split(':')
+      const buffer = Buffer.from(key ?? '', 'base64')
+
+      if (!kid || buffer.length !== 32) {
+        throw new Error(`The encryption key "${kid}" must be on the form "<key ID>:<base64 encoded 32-byte key>".`)
+      }
+
+      return [kid, buffer]
+    }))
+
+    if (!this.#keys.size) {
+      throw new Error('At least one encryption key is required.')
+    }
+  }
+
+  /**
+   * Gets the ID of the key values are encrypted with.
+   *
+   * @returns {string} The key ID.
+   */
+  get currentKeyId () {
+    return this.#keys.keys().next().value
+  }
+
+  /**
+   * Encrypts a value with the current key.
+   *
+   * @param {*} value - A value that can be serialized to JSON.
+   * @returns {{ kid: string, iv: string, tag: string, data: string }} The encrypted value.
+   */
+  encrypt (value) {
+    const kid = this.currentKeyId
+    const iv = randomBytes(12)
+    const cipher = createCipheriv(ALGORITHM, this.#keys.get(kid), iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+
+    return {
+      kid,
+      iv: iv.toString('base64url'),
+      tag: cipher.getAuthTag().toString('base64url'),
+      data: data.toString('base64url')
+    }
+  }
+
+  /**
+   * Decrypts a value encrypted with any of the known keys.
+   *
+   * @param {{ kid: string, iv: string, tag: string, data: string }} encrypted - The encrypted value.
+   * @returns {*} The value.
+   */
+  decrypt ({ kid, iv, tag, data }) {
+    const key = this.#keys.get(kid)
+
+    if (!key) {
+      throw new Error(`The value is encrypted with an unknown key "${kid}".`)
+    }
+
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'))
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'))
+
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8'))
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * @file This module defines the formats the activity log can be exported in.
+ * @module activityExportFormats
+ * @author Daniel Andersson
+ */
+
+/**
+ * The columns of the CSV export, with the way to get each value from an event.
+ *
+ * @type {Array<[string, Function]>}
+ */
+const CSV_COLUMNS = [
+  ['id', (activity) => activity.id],
+  ['created_at', (activity) => activity.created_at],
+  ['action_name', (activity) => activity.action_name],
+  ['target_type', (activity) => activity.target_type],
+  ['target_id', (activity) => activity.target_id],
+  ['target_iid', (activity) => activity.target_iid],
+  ['target_title', (activity) => activity.target_title],
+  ['project_id', (activity) => activity.project_id],
+  ['author_username', (activity) => activity.author_username ?? activity.author?.username],
+  ['push_ref', (activity) => activity.push_data?.ref],
+  ['push_commit_count', (activity) => activity.push_data?.commit_count]
+]
+
+/**
+ * Escapes a value for a CSV field. Values a spreadsheet would take for a
+ * formula are prefixed with an apostrophe, so opening an export never runs
+ * anything a project member put in a title.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The field.
+ */
+const csvField = (value) => {
+  let field = value === undefined || value === null ? '' : String(value)
+
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+}
+
+/**
+ * Escapes a value for an iCalendar TEXT property.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The escaped text.
+ */
+const icsText = (value) => String(value ?? '')
+  .replace(/[\\;,]/g, (character) => `\\${character}`)
+  .replace(/\r?\n/g, '\\n')
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20240131T235959Z.
+ *
+ * @param {string|Date} date - The date.
+ * @returns {string} The date-time.
+ */
+const icsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * Folds an iCalendar content line so no line is longer than 75 octets.
+ *
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, ending with CRLF.
+ */
+const icsLine = (line) => {
+  const parts = []
+  let part = ''
+
+  for (const character of line) {
+    if (Buffer.byteLength(part + character) > (parts.length ? 74 : 75)) {
+      parts.push(part)
+      part = ''
+    }
+
+    part += character
+  }
+
+  parts.push(part)
+
+  return `${parts.join('\r\n ')}\r\n`
+}
+
+/**
+ * Formats an activity as a CSV record.
+ *
+ * @param {object} activity - The activity.
+ * @returns {string} The record.
+ */
+const formatCsv = (activity) => `${CSV_COLUMNS.map(([, value]) => csvField(value(activity))).join(',')}\r\n`
+
+/**
+ * Formats an activity as a line of JSON.
+ *
+ * @param {object} activity - The activity.
+ * @returns {string} The line.
+ */
+const formatNdjson = (activity) => `${JSON.stringify(activity)}\n`
+
+/**
+ * Formats an activity as an iCalendar event.
+ *
+ * @param {object} activity - The activity.
+ * @param {string} provider - The name of the identity provider the activity is from, making the event's UID unique.
+ * @returns {string} The event.
+ */
+const formatIcs = (activity, provider) => [
+  'BEGIN:VEVENT',
+  `UID:event-${activity.id}@${provider}`,
+  `DTSTAMP:${icsDateTime(activity.created_at)}`,
+  `DTSTART:${icsDateTime(activity.created_at)}`,
+  `SUMMARY:${icsText([activity.action_name, activity.target_type, activity.target_title ?? activity.push_data?.ref].filter(Boolean).join(' '))}`,
+  `DESCRIPTION:${icsText(`Project ${activity.project_id ?? '-'}, by @${activity.author_username ?? activity.author?.username ?? '-'}`)}`,
+  'END:VEVENT'
+].map(icsLine).join('')
+
+/**
+ * The export formats, keyed by the value of the "format" query parameter.
+ * Each format has a content type, a file extension, a header and footer, and
+ * a function formatting one activity.
+ */
+export const activityExportFormats = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`,
+    format: formatCsv,
+    footer: ''
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: '',
+    format: formatNdjson,
+    footer: ''
+  },
+  ics: {
+    contentType: 'text/calendar; charset=utf-8',
+    extension: 'ics',
+    header: ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//oauth-openid-graphql-rest//Activity export//EN', 'CALSCALE:GREGORIAN']
+      .map(icsLine).join(''),
+    format: formatIcs,
+    footer: icsLine('END:VCALENDAR')
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * @file This module renders a contribution calendar heatmap as SVG.
+ * @module contributionHeatmap
+ * @author Daniel Andersson
+ */
+
+/**
+ * The size of a day's square, in pixels.
+ *
+ * @type {number}
+ */
+const CELL_SIZE = 11
+
+/**
+ * The space between the squares, in pixels.
+ *
+ * @type {number}
+ */
+const CELL_GAP = 3
+
+/**
+ * The room left of the squares for the weekday labels, and above them for the month labels.
+ *
+ * @type {{ left: number, top: number }}
+ */
+const MARGIN = { left: 30, top: 16 }
+
+/**
+ * The colours of days without activities and of the four levels of activity.
+ *
+ * @type {string[]}
+ */
+const LEVEL_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+
+/**
+ * The labels of the rows, weeks starting on Monday, only every other one shown.
+ *
+ * @type {string[]}
+ */
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', '']
+
+/**
+ * The number of milliseconds in a day.
+ *
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Escapes a value for SVG text content and attributes.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The escaped text.
+ */
+const escape = (value) => String(value).replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`)
+
+/**
+ * Gets the level of activity of a day, from 0 for none to 4 for the busiest days.
+ *
+ * @param {number} count - The number of activities on the day.
+ * @param {number} max - The number of activities on the busiest day.
+ * @returns {number} The level.
+ */
+const level = (count, max) => count ? Math.ceil(count / max * (LEVEL_COLORS.length - 1)) : 0
+
+/**
+ * Renders a calendar of the days between two dates, a column per week, with
+ * each day coloured by its number of activities.
+ *
+ * @param {object} statistics - The activity statistics, see ResourceService#fetchActivityStatistics.
+ * @param {string} statistics.from - The first day, YYYY-MM-DD.
+ * @param {string} statistics.to - The last day, YYYY-MM-DD.
+ * @param {object} statistics.days - The number of activities each day, keyed by YYYY-MM-DD.
+ * @returns {string} The SVG markup.
+ */
+export const renderContributionHeatmap = ({ from, to, days }) => {
+  const start = Date.parse(from)
+  const count = (Date.parse(to) - start) / DAY + 1
+  const offset = (new Date(start).getUTCDay() + 6) % 7
+  const max = Math.max(1, ...Object.values(days))
+  const step = CELL_SIZE + CELL_GAP
+  const cells = []
+  const months = []
+
+  for (let index = 0; index < count; index++) {
+    const date = new Date(start + index * DAY)
+    const day = date.toISOString().slice(0, 10)
+    const column = Math.floor((index + offset) / 7)
+    const row = (index + offset) % 7
+    const activities = days[day] ?? 0
+
+    // Label the first month only if there's room before the next.
+    if (date.getUTCDate() === 1 || (index === 0 && date.getUTCDate() < 22)) {
+      months.push(`<text x="${MARGIN.left + column * step}" y="10">${escape(date.toLocaleString('en', { month: 'short', timeZone: 'UTC' }))}</text>`)
+    }
+
+    cells.push(`<rect x="${MARGIN.left + column * step}" y="${MARGIN.top + row * step}" width="${CELL_SIZE}" height="${CELL_SIZE}" rx="2" fill="${LEVEL_COLORS[level(activities, max)]}"><title>${escape(`${activities} ${activities === 1 ? 'activity' : 'activities'} on ${day}`)}</title></rect>`)
+  }
+
+  const weekdays = WEEKDAY_LABELS.map((label, row) => label ? `<text x="0" y="${MARGIN.top + row * step + CELL_SIZE - 1}">${label}</text>` : '')
+  const width = MARGIN.left + Math.ceil((count + offset) / 7) * step
+  const height = MARGIN.top + 7 * step
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escape(`Activities from ${from} to ${to}`)}" font-family="sans-serif" font-size="9" fill="#57606a">`,
+    ...months,
+    ...weekdays,
+    ...cells,
+    '</svg>'
+  ].join('')
+}
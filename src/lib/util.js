@@ -4,6 +4,9 @@
  * @author Mats Loock <mats.loock@lnu.se>
  */
 
+// Built-in modules.
+import http from 'node:http'
+
 // Application modules.
 import { HttpError } from './errors/HttpError.js'
 
@@ -12,7 +15,8 @@ const errorStatusMap = {
   ExcessDataError: 400, // Bad Request
   ValidationError: 400, // Bad Request
   NotFoundError: 404, // Not Found
-  ConcurrencyError: 409 // Conflict
+  ConcurrencyError: 409, // Conflict
+  RepositoryError: 502 // Bad Gateway
 }
 
 /**
@@ -22,13 +26,54 @@ const errorStatusMap = {
  * @returns {HttpError} The converted error.
  */
 export function convertToHttpError (error) {
-  // Default to Internal Server Error.
+  // Already an HTTP error, keep its status.
+  if (error instanceof HttpError) {
+    return error
+  }
+
+  const status = errorStatusMap[error.constructor.name]
+
+  // Default to Internal Server Error. Only the messages of known errors are
+  // meant for the client, the message of anything else could leak details.
   return new HttpError({
-    status: errorStatusMap[error.constructor.name] || 500,
+    status: status || 500,
+    message: status ? error.message : undefined,
     cause: error
   })
 }
 
+/**
+ * Checks if a request asks for JSON rather than HTML, either by being sent to
+ * the API routes or with an Accept header preferring JSON.
+ *
+ * @param {object} req - Express request object.
+ * @returns {boolean} True if the response should be JSON; otherwise false.
+ */
+export function wantsJson (req) {
+  return req.originalUrl.startsWith('/api/') || req.accepts(['html', 'json']) === 'json'
+}
+
+/**
+ * Creates an RFC 7807 problem details object describing an HTTP error.
+ *
+ * @param {HttpError} error - The error.
+ * @param {object} req - Express request object.
+ * @returns {object} The problem details.
+ */
+export function createProblemDetails (error, req) {
+  const status = error.status || 500
+
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[status],
+    status,
+    // The messages of server errors may reveal more than they should.
+    detail: status < 500 || process.env.NODE_ENV !== 'production' ? error.message : http.STATUS_CODES[status],
+    instance: req.originalUrl,
+    requestId: req.requestUuid
+  }
+}
+
 /**
  * Checks if an error is of a specified type.
  *
@@ -47,3 +92,15 @@ export function hasErrorOfType (error, errorClass) {
 
   return false
 }
+
+/**
+ * Regenerates the session of a request, giving it a new ID and no data.
+ *
+ * @param {object} req - Express request object.
+ * @returns {Promise<void>} Resolves when the new session is created.
+ */
+export function regenerateSession (req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => error ? reject(error) : resolve())
+  })
+}
@@ -5,7 +5,8 @@
  */
 
 // Application modules.
-import { convertToHttpError } from '../lib/util.js'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { convertToHttpError, wantsJson } from '../lib/util.js'
 
 /**
  * Authenticates a request based on session.
@@ -18,6 +19,8 @@ export const authenticate = async (req, res, next) => {
   try {
     if (req.session.user) {
       next()
+    } else if (wantsJson(req)) {
+      next(new HttpError({ status: 401, message: 'Log in to access the resource.' }))
     } else {
       req.session.user = null
       res.redirect('/')
@@ -26,3 +29,28 @@ export const authenticate = async (req, res, next) => {
     next(convertToHttpError(error))
   }
 }
+
+/**
+ * Creates a middleware requiring that the user authenticated at the identity
+ * provider recently. Otherwise the user is sent to log in again, and then back;
+ * after a form post, back to the page of the router it was posted to.
+ *
+ * @param {number} maxAge - The most seconds since the user last authenticated.
+ * @returns {Function} Express middleware function.
+ */
+export const requireRecentLogin = (maxAge) => async (req, res, next) => {
+  try {
+    const { authTime, provider } = req.session.user
+
+    if (authTime && Date.now() / 1000 - authTime <= maxAge) {
+      next()
+      return
+    }
+
+    req.session.returnTo = req.method === 'GET' ? req.originalUrl : req.baseUrl || '/'
+    req.flash('info', 'Please log in again to confirm it is you, then try again.')
+    res.redirect(`/auth/${encodeURIComponent(provider)}?prompt=login&max_age=${maxAge}`)
+  } catch (error) {
+    next(convertToHttpError(error))
+  }
+}
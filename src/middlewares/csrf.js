@@ -0,0 +1,48 @@
+/**
+ * @file CSRF protection middlewares.
+ * @module middlewares
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+
+// Application modules.
+import { HttpError } from '../lib/errors/HttpError.js'
+
+/**
+ * Gives the session of a logged in user a CSRF token, if it has none, and
+ * passes it to the views, to be sent along by their forms as "_csrf".
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const provideCsrfToken = (req, res, next) => {
+  if (req.session.user) {
+    req.session.csrfToken ??= randomBytes(32).toString('base64url')
+    res.locals.csrfToken = req.session.csrfToken
+  }
+
+  next()
+}
+
+/**
+ * Rejects a request whose "_csrf" body field doesn't match the session's CSRF
+ * token, so no other site can make a logged in user's browser send it.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const verifyCsrfToken = (req, res, next) => {
+  const expected = Buffer.from(req.session.csrfToken ?? '')
+  const actual = Buffer.from(typeof req.body?._csrf === 'string' ? req.body._csrf : '')
+
+  if (!expected.length || expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    next(new HttpError({ status: 403, message: 'The form has expired or was not sent from this site. Please try again.' }))
+    return
+  }
+
+  next()
+}
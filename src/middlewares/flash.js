@@ -0,0 +1,60 @@
+/**
+ * @file Flash message middleware.
+ * @module middlewares
+ * @author Daniel Andersson
+ */
+
+/**
+ * The types of flash messages, named after the Bootstrap alert they are shown as.
+ *
+ * @type {string[]}
+ */
+export const FLASH_TYPES = ['success', 'info', 'warning', 'danger']
+
+/**
+ * Adds req.flash(type, text), queueing a message in the session until a page
+ * is rendered, so that a message survives any number of redirects. The page
+ * rendered, unless it's a partial without a layout, shows every message
+ * queued so far, in the order they were added.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const flash = (req, res, next) => {
+  /**
+   * Queues a flash message.
+   *
+   * @param {string} type - The type of the message, one of FLASH_TYPES.
+   * @param {string} text - The text of the message.
+   */
+  req.flash = (type, text) => {
+    if (!FLASH_TYPES.includes(type)) {
+      throw new TypeError(`The flash message type must be one of ${FLASH_TYPES.join(', ')}.`)
+    }
+
+    req.session.flash = [...(req.session.flash ?? []), { type, text }]
+  }
+
+  res.locals.flash = []
+
+  const render = res.render
+
+  /**
+   * Renders a view, first moving the queued flash messages to the view.
+   *
+   * @param {string} view - The view to render.
+   * @param {...*} args - The data of the view and the callback, as for res.render.
+   * @returns {*} The result of res.render.
+   */
+  res.render = (view, ...args) => {
+    if (args[0]?.layout !== false && req.session?.flash) {
+      res.locals.flash = [...res.locals.flash, ...req.session.flash]
+      delete req.session.flash
+    }
+
+    return render.call(res, view, ...args)
+  }
+
+  next()
+}
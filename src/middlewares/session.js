@@ -0,0 +1,62 @@
+/**
+ * @file Session lifecycle middlewares.
+ * @module middlewares
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { isSessionExpired } from '../config/sessionOptions.js'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { convertToHttpError, regenerateSession, wantsJson } from '../lib/util.js'
+
+/**
+ * The number of milliseconds between updates of the time a session was last
+ * seen, so that the session isn't written to the store on every request.
+ *
+ * @type {number}
+ */
+const LAST_SEEN_RESOLUTION = 1000 * 60 // 1 minute
+
+/**
+ * Ends sessions that have been idle too long or reached their absolute age,
+ * and records the IP address, user agent and last-seen time of active ones.
+ *
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ */
+export const trackSession = async (req, res, next) => {
+  try {
+    if (!req.session.user) {
+      next()
+      return
+    }
+
+    const now = Date.now()
+    const { createdAt = now, client } = req.session
+    const lastSeenAt = client?.lastSeenAt ?? createdAt
+
+    if (isSessionExpired(req.session, now)) {
+      await regenerateSession(req)
+
+      if (wantsJson(req)) {
+        next(new HttpError({ status: 401, message: 'The session has expired. Log in again.' }))
+        return
+      }
+
+      req.flash('info', 'Your session has expired. Please log in again.')
+      res.redirect('/')
+      return
+    }
+
+    req.session.createdAt = createdAt
+
+    if (now - lastSeenAt > LAST_SEEN_RESOLUTION || client?.ip !== req.ip || client?.userAgent !== req.get('User-Agent')) {
+      req.session.client = { ip: req.ip, userAgent: req.get('User-Agent'), lastSeenAt: now }
+    }
+
+    next()
+  } catch (error) {
+    next(convertToHttpError(error))
+  }
+}
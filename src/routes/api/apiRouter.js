@@ -0,0 +1,28 @@
+/**
+ * @file Defines the JSON API router, serving the same data as the views.
+ * @module apiRouter
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import express from 'express'
+
+// Application modules.
+import { container, TYPES } from '../../config/inversify.config.js'
+import { authenticate } from '../../middlewares/authentication.js'
+
+export const router = express.Router()
+
+router.use(authenticate)
+
+router.route('/accounts').get((req, res, next) => container.get(TYPES.ResourceController).home(req, res, next))
+router.route('/profile').get((req, res, next) => container.get(TYPES.ResourceController).profile(req, res, next))
+router.route('/activities').get((req, res, next) => container.get(TYPES.ResourceController).activities(req, res, next))
+router.route('/activities/export').get((req, res, next) => container.get(TYPES.ResourceController).exportActivities(req, res, next))
+router.route('/projects/:id/events').get((req, res, next) => container.get(TYPES.ResourceController).projectActivities(req, res, next))
+router.route('/projects/:fullPath').get((req, res, next) => container.get(TYPES.ResourceController).project(req, res, next))
+router.route('/projects/:fullPath/pipelines').get((req, res, next) => container.get(TYPES.ResourceController).pipelines(req, res, next))
+router.route('/groups').get((req, res, next) => container.get(TYPES.ResourceController).groups(req, res, next))
+router.route('/groups/projects').get((req, res, next) => container.get(TYPES.ResourceController).groupProjects(req, res, next))
+router.route('/merge-requests').get((req, res, next) => container.get(TYPES.ResourceController).mergeRequests(req, res, next))
+router.route('/issues').get((req, res, next) => container.get(TYPES.ResourceController).issues(req, res, next))
@@ -9,6 +9,8 @@ import express from 'express'
 
 // Application modules.
 import { container, TYPES } from '../../config/inversify.config.js'
+import { authenticate } from '../../middlewares/authentication.js'
+import { verifyCsrfToken } from '../../middlewares/csrf.js'
 
 export const router = express.Router()
 
@@ -19,3 +21,15 @@ router
 router
   .route('/callback')
   .get((req, res, next) => container.get(TYPES.AuthController).authorize(req, res, next))
+
+router
+  .route('/logout')
+  .post(authenticate, verifyCsrfToken, (req, res, next) => container.get(TYPES.AuthController).logout(req, res, next))
+
+router
+  .route('/:provider')
+  .get((req, res, next) => container.get(TYPES.AuthController).login(req, res, next))
+
+router
+  .route('/:provider/callback')
+  .get((req, res, next) => container.get(TYPES.AuthController).authorize(req, res, next))
@@ -0,0 +1,21 @@
+/**
+ * @file Defines the router of the application's own GraphQL API.
+ * @module graphqlRouter
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import express from 'express'
+
+// Application modules.
+import { container, TYPES } from '../../config/inversify.config.js'
+import { authenticate } from '../../middlewares/authentication.js'
+
+export const router = express.Router()
+
+router.route('/').post((req, res, next) => container.get(TYPES.GraphQLController).execute(req, res, next))
+
+// GraphiQL is a tool for developers, it's not served in production.
+if (process.env.NODE_ENV === 'development') {
+  router.route('/').get(authenticate, (req, res, next) => container.get(TYPES.GraphQLController).graphiql(req, res, next))
+}
@@ -18,4 +18,12 @@ router.route('/').get((req, res, next) => container.get(TYPES.ResourceController
 router.route('/home').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).home(req, res, next))
 router.route('/profile').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).profile(req, res, next))
 router.route('/activities').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).activities(req, res, next))
+router.route('/activities/export').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).exportActivities(req, res, next))
+router.route('/projects/:id/events').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).projectActivities(req, res, next))
+router.route('/projects/:fullPath').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).project(req, res, next))
+router.route('/projects/:fullPath/pipelines').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).pipelines(req, res, next))
 router.route('/groups').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).groups(req, res, next))
+router.route('/groups/more').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).moreGroups(req, res, next))
+router.route('/groups/projects').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).groupProjects(req, res, next))
+router.route('/merge-requests').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).mergeRequests(req, res, next))
+router.route('/issues').get(authenticate, (req, res, next) => container.get(TYPES.ResourceController).issues(req, res, next))
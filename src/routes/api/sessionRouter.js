@@ -0,0 +1,20 @@
+/**
+ * @file Defines the session router.
+ * @module sessionRouter
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import express from 'express'
+
+// Application modules.
+import { container, TYPES } from '../../config/inversify.config.js'
+import { recentLoginMaxAge } from '../../config/sessionOptions.js'
+import { authenticate, requireRecentLogin } from '../../middlewares/authentication.js'
+import { verifyCsrfToken } from '../../middlewares/csrf.js'
+
+export const router = express.Router()
+
+router.route('/').get(authenticate, (req, res, next) => container.get(TYPES.SessionController).index(req, res, next))
+router.route('/revoke-others').post(authenticate, verifyCsrfToken, requireRecentLogin(recentLoginMaxAge), (req, res, next) => container.get(TYPES.SessionController).revokeOthers(req, res, next))
+router.route('/:id/revoke').post(authenticate, verifyCsrfToken, requireRecentLogin(recentLoginMaxAge), (req, res, next) => container.get(TYPES.SessionController).revoke(req, res, next))
@@ -6,13 +6,19 @@
 
 import express from 'express'
 import { HttpError } from '../../lib/errors/HttpError.js'
+import { router as apiRouter } from './api/apiRouter.js'
 import { router as authRouter } from './api/authRouter.js'
+import { router as graphqlRouter } from './api/graphqlRouter.js'
 import { router as resourceRouter } from './api/resourceRouter.js'
+import { router as sessionRouter } from './api/sessionRouter.js'
 
 export const router = express.Router()
 
 router.use('/', resourceRouter)
 router.use('/auth', authRouter)
+router.use('/sessions', sessionRouter)
+router.use('/api/v1', apiRouter)
+router.use('/graphql', graphqlRouter)
 
 // Catch 404 (ALWAYS keep this as the last route).
 router.use('*', (req, res, next) => {
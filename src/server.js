@@ -22,13 +22,25 @@ import session from 'express-session'
 import expressLayouts from 'express-ejs-layouts'
 
 // Application modules.
+import { container, TYPES } from './config/inversify.config.js'
 import { morganLogger } from './config/morgan.js'
-import { limiter } from './config/rateLimiter.js'
+import { limiter, warnNearLimit } from './config/rateLimiter.js'
 import { logger } from './config/winston.js'
+import { createProblemDetails, wantsJson } from './lib/util.js'
+import { provideCsrfToken } from './middlewares/csrf.js'
+import { flash } from './middlewares/flash.js'
+import { trackSession } from './middlewares/session.js'
 import { router } from './routes/router.js'
 import { sessionOptions } from './config/sessionOptions.js'
 
 try {
+  // Load the identity providers' configurations before accepting any logins.
+  const providers = container.get(TYPES.ProviderRegistry).list()
+  for (const provider of providers) {
+    const metadata = await container.get(TYPES.ProviderRegistry).getMetadata(provider.name)
+    logger.info(`Loaded the OpenID Connect configuration of ${metadata.issuer} (${provider.name})`)
+  }
+
   // Create an Express application.
   const app = express()
 
@@ -63,7 +75,7 @@ try {
           defaultSrc: ["'self'"],
           scriptSrc: ["'self'", 'https://cdn.jsdelivr.net/npm/bootstrap@5.2.3/'],
           styleSrc: ["'self'", 'https://cdn.jsdelivr.net/npm/bootstrap@5.2.3/'],
-          imgSrc: ["'self'", 'https://secure.gravatar.com/avatar/', 'data:', 'https://gitlab.lnu.se/']
+          imgSrc: ["'self'", 'https://secure.gravatar.com/avatar/', 'data:', ...providers.map(({ issuer }) => `${new URL(issuer).origin}/`)]
         }
       }
     })
@@ -75,14 +87,27 @@ try {
   // Parse requests of the content type application/json.
   app.use(express.json())
 
+  // Parse requests of the content type application/x-www-form-urlencoded.
+  app.use(express.urlencoded({ extended: false }))
+
   // Add the request-scoped context.
   app.use(httpContext.middleware)
 
   // Use a morgan logger.
   app.use(morganLogger)
 
+  // Add flash messages, surviving redirects until a page is rendered.
+  app.use(flash)
+
   // Apply the rate limiting middleware to all requests.
   app.use(limiter)
+  app.use(warnNearLimit)
+
+  // End expired sessions and keep track of active ones.
+  app.use(trackSession)
+
+  // Give the forms of logged in users a CSRF token.
+  app.use(provideCsrfToken)
 
   // Middleware to be executed before the routes.
   app.use((req, res, next) => {
@@ -105,34 +130,51 @@ try {
   app.use((err, req, res, next) => {
     logger.error(err.message, { error: err })
 
-    if (process.env.NODE_ENV === 'production') {
-      // Ensure a valid status code is set for the error.
-      // If the status code is not provided, default to 500 (Internal Server Error).
-      // This prevents leakage of sensitive error details to the client.
-      if (!err.status) {
-        err.status = 500
-        err.message = http.STATUS_CODES[err.status]
-      }
+    if (res.headersSent) {
+      next(err)
+      return
+    }
+
+    const status = err.status || 500
 
-      // Send only the error message and status code to prevent leakage of
-      // sensitive information.
-      res.status(err.status).json({
-        error: err.message
-      })
+    // The error may have occurred before the request got its UUID.
+    req.requestUuid ??= randomUUID()
 
+    // API clients get RFC 7807 problem details.
+    if (wantsJson(req)) {
+      res.status(status).type('application/problem+json').json(createProblemDetails(err, req))
       return
     }
 
-    // ---------------------------------------------------
-    // ⚠️ WARNING: Development Environment Only!
-    //             Detailed error information is provided.
-    // ---------------------------------------------------
-
-    // Deep copies the error object and returns a new object with
-    // enumerable and non-enumerable properties (cyclical structures are handled).
-    const copy = JSON.decycle(err, { includeNonEnumerableProperties: true })
+    // An expired or revoked GitLab token needs a new login, not an error page.
+    const provider = status === 401 && req.session?.user && err.data?.get('provider')
+    if (provider) {
+      if (req.method === 'GET') {
+        req.session.returnTo = req.originalUrl
+      }
+      const { displayName } = container.get(TYPES.ProviderRegistry).get(provider)
+      req.flash('warning', `Your ${displayName} login has expired. Please log in again.`)
+      res.redirect(`/auth/${encodeURIComponent(provider)}`)
+      return
+    }
 
-    return res.status(err.status || 500).json(copy)
+    // Errors from the middlewares before the routes lack the values passed to the view.
+    res.locals.baseURL ??= baseURL
+    res.locals.isAuthenticated ??= !!req.session?.user
+    res.locals.flash ??= []
+    res.locals.csrfToken ??= req.session?.csrfToken
+
+    // Browsers get an error page. The messages of server errors are only
+    // shown, along with the stack trace, in development.
+    const isProduction = process.env.NODE_ENV === 'production'
+    res.status(status).render('errors/index', {
+      status,
+      reasonPhrase: http.STATUS_CODES[status],
+      message: status < 500 || !isProduction ? err.message : 'Something went wrong on our side.',
+      requestUuid: req.requestUuid,
+      retryUrl: req.method === 'GET' && (status >= 500 || status === 429) ? `.${req.originalUrl}` : undefined,
+      stack: isProduction ? undefined : err.stack
+    })
   })
 
   // Starts the HTTP server listening for connections.
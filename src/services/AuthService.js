@@ -4,38 +4,419 @@
  * @author Daniel Andersson
  */
 
+// Built-in modules.
+import { createHash, randomBytes } from 'node:crypto'
+
+// User-land modules.
 import axios from 'axios'
+import jwt from 'jsonwebtoken'
 import querystring from 'query-string'
 
 // Application modules.
+import { oauthOptions } from '../config/oauthOptions.js'
+import { logger } from '../config/winston.js'
 import { HttpError } from '../lib/errors/HttpError.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+import { JwksService } from './JwksService.js'
+import { ProviderRegistry } from './ProviderRegistry.js'
+
+/**
+ * The number of milliseconds a pending authorization request is valid.
+ *
+ * @type {number}
+ */
+const AUTHORIZATION_REQUEST_MAX_AGE = 1000 * 60 * 10 // 10 minutes
+
+/**
+ * The number of seconds of clock skew accepted when validating ID tokens.
+ *
+ * @type {number}
+ */
+const CLOCK_TOLERANCE = 60
+
+/**
+ * The values of the prompt parameter a login may ask for.
+ *
+ * @type {string[]}
+ */
+const PROMPT_VALUES = ['none', 'login', 'consent', 'select_account']
+
+/**
+ * The longest login hint accepted, the length of the longest possible email address.
+ *
+ * @type {number}
+ */
+const MAX_LOGIN_HINT_LENGTH = 254
 
 /**
  * Encapsulates a Auth service.
  */
 export class AuthService {
+  /**
+   * The identity providers.
+   *
+   * @type {ProviderRegistry}
+   */
+  #providers
+
+  /**
+   * The service.
+   *
+   * @type {JwksService}
+   */
+  #jwksService
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {ProviderRegistry} providers - A registry instantiated from a class with the same capabilities as ProviderRegistry.
+   * @param {JwksService} jwksService - A service instantiated from a class with the same capabilities as JwksService.
+   */
+  constructor (providers, jwksService) {
+    this.#providers = providers
+    this.#jwksService = jwksService
+  }
+
+  /**
+   * Gets the name of the identity provider used when none is specified.
+   *
+   * @returns {string} - The name of the default provider.
+   */
+  get defaultProvider () {
+    return this.#providers.defaultName
+  }
+
+  /**
+   * Creates the URL to the service provider's authorization endpoint and binds
+   * a random, single-use state, a PKCE code verifier and a nonce to the session.
+   *
+   * @param {object} session - The session of the user logging in.
+   * @param {string} providerName - The name of the identity provider to log in with.
+   * @param {object} [options] - OpenID Connect parameters for the login.
+   * @param {string} [options.prompt] - Space-separated prompt values, e.g. "login" to force re-authentication.
+   * @param {string} [options.maxAge] - The most seconds since the user last authenticated at the provider.
+   * @param {string} [options.loginHint] - A hint about the identifier the user might use to log in.
+   * @returns {Promise<string>} - The authorization URL.
+   */
+  async createAuthorizationUrl (session, providerName, options = {}) {
+    const { prompt, maxAge, loginHint } = this.#validateLoginOptions(options)
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+    const state = randomBytes(32).toString('base64url')
+    const codeVerifier = randomBytes(32).toString('base64url')
+    const nonce = randomBytes(32).toString('base64url')
+
+    // Forget expired requests, the user may have abandoned them.
+    const pending = Object.entries(session.authorizationRequests || {})
+      .filter(([, request]) => Date.now() - request.createdAt < AUTHORIZATION_REQUEST_MAX_AGE)
+
+    session.authorizationRequests = Object.fromEntries([...pending, [state, { provider: providerName, codeVerifier, nonce, maxAge, createdAt: Date.now() }]])
+
+    return querystring.stringifyUrl({
+      url: metadata.authorization_endpoint,
+      query: {
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        response_type: provider.responseType,
+        state,
+        scope: provider.scope,
+        nonce,
+        prompt,
+        max_age: maxAge,
+        login_hint: loginHint,
+        code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256'
+      }
+    })
+  }
+
+  /**
+   * Verifies that the state returned by the service provider is bound to the
+   * session. A state can only be used once.
+   *
+   * @param {object} session - The session of the user logging in.
+   * @param {string} state - The state returned by the service provider.
+   * @param {string} providerName - The name of the identity provider that redirected back.
+   * @returns {object} - The authorization request the state belongs to.
+   */
+  verifyState (session, state, providerName) {
+    if (!state) {
+      throw new HttpError({ status: 403, message: 'The login attempt is missing its state. Please log in again.' })
+    }
+
+    const request = session.authorizationRequests?.[state]
+
+    if (!request) {
+      throw new HttpError({ status: 403, message: 'The login attempt could not be verified. Please log in again.' })
+    }
+
+    // Consume the state.
+    delete session.authorizationRequests[state]
+
+    if (request.provider !== providerName) {
+      throw new HttpError({ status: 403, message: 'The login attempt was started with another identity provider. Please log in again.' })
+    }
+
+    if (Date.now() - request.createdAt >= AUTHORIZATION_REQUEST_MAX_AGE) {
+      throw new HttpError({ status: 403, message: 'The login attempt has expired. Please log in again.' })
+    }
+
+    return request
+  }
+
   /**
    * Authorizes user.
    *
    * @param {string} code - Query string.
-   * @returns {object} - Data from the authorized user.
+   * @param {object} request - The authorization request the code was issued for.
+   * @param {string} request.provider - The name of the identity provider the code was issued by.
+   * @param {string} request.codeVerifier - The PKCE code verifier of the authorization request.
+   * @param {string} request.nonce - The nonce the ID token must contain.
+   * @param {number} [request.maxAge] - The most seconds since the user last authenticated, if requested.
+   * @returns {{ tokens: object, claims: object }} - The tokens of the authorized user and the claims of the ID token.
    */
-  async authorizeUser (code) {
+  async authorizeUser (code, { provider: providerName, codeVerifier, nonce, maxAge }) {
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+    let tokens
+
     try {
       const response = await axios.post(
-        `${process.env.SERVICE_PROVIDER_OAUTH_URL}/token`,
+        metadata.token_endpoint,
         querystring.stringify({
-          client_id: process.env.CLIENT_ID,
-          client_secret: process.env.CLIENT_SECRET,
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret,
           code,
+          code_verifier: codeVerifier,
           grant_type: 'authorization_code',
-          redirect_uri: process.env.REDIRECT_URI
+          redirect_uri: provider.redirectUri
+        })
+      )
+
+      tokens = this.#toTokenSet(response.data)
+    } catch (error) {
+      throw new HttpError(error)
+    }
+
+    // Without a verified subject the user can't be told apart from other users.
+    if (!tokens.id_token) {
+      throw new ValidationError({ message: 'The identity provider sent no ID token. Make sure the "openid" scope is requested.' })
+    }
+
+    const claims = await this.verifyIdToken(providerName, tokens.id_token, nonce)
+
+    if (!claims.sub) {
+      throw new ValidationError({ message: 'The ID token does not identify the user (sub).' })
+    }
+
+    if (maxAge !== undefined) {
+      if (typeof claims.auth_time !== 'number') {
+        throw new ValidationError({ message: 'The ID token is missing the time of authentication (auth_time) that max_age requires.' })
+      }
+
+      if (Date.now() / 1000 - claims.auth_time > maxAge + CLOCK_TOLERANCE) {
+        throw new ValidationError({ message: `The user authenticated more than ${maxAge} seconds ago.` })
+      }
+    }
+
+    return { tokens, claims }
+  }
+
+  /**
+   * Verifies the signature and claims of an ID token.
+   *
+   * @param {string} providerName - The name of the identity provider that issued the ID token.
+   * @param {string} idToken - The ID token.
+   * @param {string} nonce - The nonce the ID token must contain.
+   * @returns {object} - The claims of the ID token.
+   */
+  async verifyIdToken (providerName, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true })
+
+    if (!decoded) {
+      throw new ValidationError({ message: 'The ID token is not a valid JSON Web Token.' })
+    }
+
+    if (decoded.header.alg !== 'RS256') {
+      throw new ValidationError({ message: `The ID token is signed with an unsupported algorithm (${decoded.header.alg}).` })
+    }
+
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+    const key = await this.#jwksService.getKey(metadata.jwks_uri, decoded.header.kid)
+
+    let claims
+
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+        nonce,
+        clockTolerance: CLOCK_TOLERANCE
+      })
+    } catch (error) {
+      throw new ValidationError({ message: `The ID token is invalid (${error.message}).`, cause: error })
+    }
+
+    if (typeof claims.iat !== 'number' || claims.iat > Date.now() / 1000 + CLOCK_TOLERANCE) {
+      throw new ValidationError({ message: 'The ID token has a missing or future issued at time.' })
+    }
+
+    return claims
+  }
+
+  /**
+   * Exchanges a refresh token for a new set of tokens.
+   *
+   * @param {string} providerName - The name of the identity provider that issued the refresh token.
+   * @param {string} refreshToken - The refresh token.
+   * @returns {object} - The new tokens.
+   */
+  async refreshTokens (providerName, refreshToken) {
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+
+    try {
+      const response = await axios.post(
+        metadata.token_endpoint,
+        querystring.stringify({
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret,
+          refresh_token: refreshToken,
+          grant_type: 'refresh_token',
+          redirect_uri: provider.redirectUri
         })
       )
 
-      return response.data
+      return this.#toTokenSet(response.data)
     } catch (error) {
       throw new HttpError(error)
     }
   }
+
+  /**
+   * Revokes the access and refresh tokens at the service provider. A failed
+   * revocation is logged but doesn't stop the user from logging out.
+   *
+   * @param {string} providerName - The name of the identity provider that issued the tokens.
+   * @param {object} tokens - The tokens to revoke.
+   */
+  async revokeTokens (providerName, tokens) {
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+
+    if (!metadata.revocation_endpoint) {
+      logger.warn(`${provider.issuer} has no revocation endpoint, the tokens are left to expire.`)
+      return
+    }
+
+    const revocations = [
+      ['access_token', tokens.access_token],
+      ['refresh_token', tokens.refresh_token]
+    ].filter(([, token]) => token)
+      .map(([tokenTypeHint, token]) => axios.post(
+        metadata.revocation_endpoint,
+        querystring.stringify({
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret,
+          token,
+          token_type_hint: tokenTypeHint
+        })
+      ))
+
+    for (const result of await Promise.allSettled(revocations)) {
+      if (result.status === 'rejected') {
+        logger.warn(`Failed to revoke token: ${result.reason.message}`, { error: result.reason })
+      }
+    }
+  }
+
+  /**
+   * Creates the URL to the service provider's end session endpoint, if it has one.
+   *
+   * @param {string} providerName - The name of the identity provider the user logged in with.
+   * @param {string} idToken - The ID token to pass as a hint about the user logging out.
+   * @returns {Promise<string|undefined>} - The end session URL.
+   */
+  async createEndSessionUrl (providerName, idToken) {
+    const provider = this.#providers.get(providerName)
+    const metadata = await this.#providers.getMetadata(providerName)
+    const endSessionUrl = metadata.end_session_endpoint || provider.endSessionUrl
+
+    if (!endSessionUrl) {
+      return undefined
+    }
+
+    return querystring.stringifyUrl({
+      url: endSessionUrl,
+      query: {
+        id_token_hint: idToken,
+        client_id: provider.clientId,
+        post_logout_redirect_uri: oauthOptions.postLogoutRedirectUri
+      }
+    })
+  }
+
+  /**
+   * Validates the OpenID Connect parameters of a login against allow-lists.
+   *
+   * @param {object} options - The parameters.
+   * @param {*} [options.prompt] - Space-separated prompt values.
+   * @param {*} [options.maxAge] - The most seconds since the user last authenticated.
+   * @param {*} [options.loginHint] - A hint about the identifier the user might use to log in.
+   * @returns {{ prompt: string|undefined, maxAge: number|undefined, loginHint: string|undefined }} - The validated parameters.
+   */
+  #validateLoginOptions ({ prompt, maxAge, loginHint }) {
+    const validated = {}
+
+    if (prompt !== undefined) {
+      const values = typeof prompt === 'string' ? prompt.split(' ').filter(Boolean) : []
+
+      if (!values.length || !values.every((value) => PROMPT_VALUES.includes(value)) ||
+        (values.includes('none') && values.length > 1) || new Set(values).size !== values.length) {
+        throw new ValidationError({
+          message: `prompt must be "none" or a space-separated list of ${PROMPT_VALUES.filter((value) => value !== 'none').join(', ')}.`,
+          data: { prompt }
+        })
+      }
+
+      validated.prompt = values.join(' ')
+    }
+
+    if (maxAge !== undefined) {
+      if (typeof maxAge !== 'string' || !/^\d{1,9}$/.test(maxAge)) {
+        throw new ValidationError({ message: 'max_age must be a non-negative number of seconds.', data: { maxAge } })
+      }
+
+      validated.maxAge = Number(maxAge)
+    }
+
+    if (loginHint !== undefined) {
+      // Email addresses and usernames, nothing that could smuggle other parameters.
+      if (typeof loginHint !== 'string' || loginHint.length > MAX_LOGIN_HINT_LENGTH || !/^[\w.+@-]+$/.test(loginHint)) {
+        throw new ValidationError({ message: 'login_hint must be an email address or a username.', data: { loginHint } })
+      }
+
+      validated.loginHint = loginHint
+    }
+
+    return validated
+  }
+
+  /**
+   * Adds the point in time, in milliseconds, the access token expires to a token response.
+   *
+   * @param {object} data - The token response.
+   * @returns {object} - The tokens.
+   */
+  #toTokenSet (data) {
+    if (!data.expires_in) {
+      return data
+    }
+
+    const issuedAt = data.created_at ? data.created_at * 1000 : Date.now()
+
+    return { ...data, expires_at: issuedAt + data.expires_in * 1000 }
+  }
 }
@@ -0,0 +1,77 @@
+/**
+ * @file This file contains the CacheService class.
+ * @module CacheService
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { NotModifiedError } from '../lib/errors/NotModifiedError.js'
+import { LruCache } from '../lib/LruCache.js'
+
+/**
+ * Encapsulates a service caching responses from GitLab. A response younger
+ * than the max age is used as is, an older one is revalidated with the ETag
+ * and Last-Modified validators GitLab sent along with it.
+ */
+export class CacheService {
+  /**
+   * The cache store.
+   *
+   * @type {LruCache}
+   */
+  #store
+
+  /**
+   * The number of milliseconds a cached response is used without revalidating it.
+   *
+   * @type {number}
+   */
+  #maxAge
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {object} options - An object that has the following properties:
+   * @param {LruCache} options.store - A store with the same capabilities as LruCache.
+   * @param {number} options.maxAge - The number of milliseconds a cached response is used without revalidating it.
+   */
+  constructor ({ store, maxAge }) {
+    this.#store = store
+    this.#maxAge = maxAge
+  }
+
+  /**
+   * Gets a value from the cache, loading it if it's missing or stale. The
+   * loader is given the validators of the cached response, and may throw a
+   * NotModifiedError to have the cached value used again.
+   *
+   * @param {string} key - The cache key.
+   * @param {Function} load - Called with an object with the etag and lastModified of the cached response, if any. Resolves to an object with the value, etag and lastModified.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache and load the value unconditionally.
+   * @returns {Promise<*>} - The value.
+   */
+  async fetch (key, load, { refresh = false } = {}) {
+    const entry = refresh ? undefined : await this.#store.get(key)
+
+    if (entry && Date.now() - entry.fetchedAt < this.#maxAge) {
+      return entry.value
+    }
+
+    try {
+      const { value, etag, lastModified } = await load({ etag: entry?.etag, lastModified: entry?.lastModified })
+
+      await this.#store.set(key, { value, etag, lastModified, fetchedAt: Date.now() })
+
+      return value
+    } catch (error) {
+      if (!(error instanceof NotModifiedError) || !entry) {
+        throw error
+      }
+
+      await this.#store.set(key, { ...entry, fetchedAt: Date.now() })
+
+      return entry.value
+    }
+  }
+}
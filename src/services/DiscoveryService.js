@@ -0,0 +1,91 @@
+/**
+ * @file This file contains the DiscoveryService class.
+ * @module DiscoveryService
+ * @author Daniel Andersson
+ */
+
+// User-land modules.
+import axios from 'axios'
+
+// Application modules.
+import { HttpError } from '../lib/errors/HttpError.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+
+/**
+ * The number of milliseconds a discovery document is cached.
+ *
+ * @type {number}
+ */
+const CACHE_MAX_AGE = 1000 * 60 * 60 * 24 // 1 day
+
+/**
+ * Encapsulates a service loading and caching OpenID Connect discovery documents.
+ */
+export class DiscoveryService {
+  /**
+   * The cached discovery documents, keyed by issuer.
+   *
+   * @type {Map<string, { metadata: Promise<object>, fetchedAt: number }>}
+   */
+  #documents
+
+  /**
+   * Initializes a new instance.
+   */
+  constructor () {
+    this.#documents = new Map()
+  }
+
+  /**
+   * Gets the provider metadata of an issuer, fetching
+   * {issuer}/.well-known/openid-configuration if it's not cached.
+   *
+   * @param {string} issuer - The issuer identifier.
+   * @returns {Promise<object>} - The provider metadata.
+   */
+  async getMetadata (issuer) {
+    const cached = this.#documents.get(issuer)
+
+    if (!cached || Date.now() - cached.fetchedAt > CACHE_MAX_AGE) {
+      const metadata = this.#fetchMetadata(issuer)
+
+      // Don't cache failures, the next call should try again.
+      metadata.catch(() => this.#documents.delete(issuer))
+      this.#documents.set(issuer, { metadata, fetchedAt: Date.now() })
+    }
+
+    return this.#documents.get(issuer).metadata
+  }
+
+  /**
+   * Fetches and validates a discovery document.
+   *
+   * @param {string} issuer - The issuer identifier.
+   * @returns {Promise<object>} - The provider metadata.
+   */
+  async #fetchMetadata (issuer) {
+    let metadata
+
+    try {
+      const response = await axios.get(`${issuer}/.well-known/openid-configuration`)
+      metadata = response.data
+    } catch (error) {
+      throw new HttpError({ status: 502, message: `The discovery document of "${issuer}" could not be fetched.`, cause: error })
+    }
+
+    // The issuer in the document must be the one it was fetched from.
+    if (metadata.issuer?.replace(/\/$/, '') !== issuer) {
+      throw new ValidationError({
+        message: `The discovery document was issued by "${metadata.issuer}", expected "${issuer}".`
+      })
+    }
+
+    for (const endpoint of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[endpoint]) {
+        throw new ValidationError({ message: `The discovery document of "${issuer}" is missing ${endpoint}.` })
+      }
+    }
+
+    return metadata
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * @file This file contains the GitLabClient class.
+ * @module GitLabClient
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { setTimeout as sleep } from 'node:timers/promises'
+
+// User-land modules.
+import axios from 'axios'
+
+// Application modules.
+import { logger } from '../config/winston.js'
+import { ApplicationError } from '../lib/errors/ApplicationError.js'
+import { ConcurrencyError } from '../lib/errors/ConcurrencyError.js'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { NotFoundError } from '../lib/errors/NotFoundError.js'
+import { NotModifiedError } from '../lib/errors/NotModifiedError.js'
+import { RepositoryError } from '../lib/errors/RepositoryError.js'
+import { ProviderRegistry } from './ProviderRegistry.js'
+import { TokenService } from './TokenService.js'
+
+/**
+ * The number of milliseconds to wait for GitLab to respond.
+ *
+ * @type {number}
+ */
+const TIMEOUT = Number(process.env.GITLAB_TIMEOUT_MS) || 1000 * 10 // 10 seconds
+
+/**
+ * The number of times a request is retried when GitLab is overloaded or failing.
+ *
+ * @type {number}
+ */
+const MAX_RETRIES = 3
+
+/**
+ * The number of milliseconds to wait before the first retry, doubled for each retry.
+ *
+ * @type {number}
+ */
+const BASE_DELAY = 500
+
+/**
+ * The longest number of milliseconds to wait before a retry, whatever Retry-After says.
+ *
+ * @type {number}
+ */
+const MAX_DELAY = 1000 * 30 // 30 seconds
+
+/**
+ * Encapsulates a client for GitLab's GraphQL and REST APIs, authenticated with
+ * the access token of a session.
+ */
+export class GitLabClient {
+  /**
+   * The service.
+   *
+   * @type {TokenService}
+   */
+  #tokenService
+
+  /**
+   * The identity providers.
+   *
+   * @type {ProviderRegistry}
+   */
+  #providers
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {TokenService} tokenService - A service instantiated from a class with the same capabilities as TokenService.
+   * @param {ProviderRegistry} providers - A registry instantiated from a class with the same capabilities as ProviderRegistry.
+   */
+  constructor (tokenService, providers) {
+    this.#tokenService = tokenService
+    this.#providers = providers
+  }
+
+  /**
+   * Sends a GraphQL query.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider whose API to query.
+   * @param {string} query - The GraphQL query.
+   * @param {object} [variables] - The query's variables.
+   * @returns {Promise<object>} - The data of the response.
+   */
+  async query (session, provider, query, variables = {}) {
+    const { data } = await this.#request(session, provider, {
+      method: 'post',
+      url: `${this.#providers.get(provider).apiUrl}/graphql`,
+      data: { query, variables }
+    })
+
+    if (data.errors?.length) {
+      throw new RepositoryError({
+        message: `GitLab could not run the query: ${data.errors.map((error) => error.message).join(' ')}`,
+        data: { errors: data.errors }
+      })
+    }
+
+    return data.data
+  }
+
+  /**
+   * Sends a GET request to the REST API.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider whose API to call.
+   * @param {string} path - The path relative to the API's base URL, e.g. "/v4/events", or an absolute URL.
+   * @param {object} [options] - Additional options.
+   * @param {object} [options.params] - The query parameters.
+   * @param {object} [options.headers] - Additional request headers.
+   * @returns {Promise<{ data: *, headers: object }>} - The body and headers of the response.
+   */
+  async get (session, provider, path, { params, headers } = {}) {
+    const response = await this.#request(session, provider, {
+      method: 'get',
+      url: /^https?:\/\//.test(path) ? path : `${this.#providers.get(provider).apiUrl}${path}`,
+      params,
+      headers
+    })
+
+    return { data: response.data, headers: response.headers }
+  }
+
+  /**
+   * Sends a request with the session's access token, retrying it with backoff
+   * if GitLab is rate limiting or failing, and maps failures to application errors.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider whose API to call.
+   * @param {object} config - The axios request config.
+   * @returns {Promise<object>} - The axios response.
+   */
+  async #request (session, provider, config) {
+    try {
+      return await this.#tokenService.withAccessToken(session, provider, (accessToken) =>
+        this.#sendWithRetries({
+          ...config,
+          timeout: TIMEOUT,
+          headers: { ...config.headers, Authorization: `Bearer ${accessToken}` }
+        })
+      )
+    } catch (error) {
+      throw this.#toApplicationError(error, provider)
+    }
+  }
+
+  /**
+   * Sends a request, retrying it on 429 and 5xx responses.
+   *
+   * @param {object} config - The axios request config.
+   * @returns {Promise<object>} - The axios response.
+   */
+  async #sendWithRetries (config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.request(config)
+      } catch (error) {
+        const status = error.response?.status
+
+        if (attempt >= MAX_RETRIES || !(status === 429 || status >= 500)) {
+          throw error
+        }
+
+        const delay = this.#retryDelay(error.response.headers['retry-after'], attempt)
+        logger.warn(`GitLab responded ${status} to ${config.method.toUpperCase()} ${config.url}, retrying in ${delay} ms.`)
+        await sleep(delay)
+      }
+    }
+  }
+
+  /**
+   * Calculates how long to wait before a retry, honouring the Retry-After
+   * header if GitLab sent one, otherwise backing off exponentially with jitter.
+   *
+   * @param {string} [retryAfter] - The value of the Retry-After header, in seconds or as an HTTP date.
+   * @param {number} attempt - The number of the failed attempt, starting at 0.
+   * @returns {number} - The number of milliseconds to wait.
+   */
+  #retryDelay (retryAfter, attempt) {
+    if (retryAfter) {
+      const delay = /^\d+$/.test(retryAfter)
+        ? Number(retryAfter) * 1000
+        : new Date(retryAfter).getTime() - Date.now()
+
+      if (!Number.isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), MAX_DELAY)
+      }
+    }
+
+    const backoff = BASE_DELAY * 2 ** attempt
+
+    return Math.min(backoff / 2 + Math.random() * backoff / 2, MAX_DELAY)
+  }
+
+  /**
+   * Maps a failed request to the corresponding application error.
+   *
+   * @param {Error} error - The error.
+   * @param {string} provider - The name of the identity provider whose API was called.
+   * @returns {ApplicationError} - The application error.
+   */
+  #toApplicationError (error, provider) {
+    if (error instanceof ApplicationError) {
+      return error
+    }
+
+    const status = error.response?.status
+    const message = error.response?.data?.message || error.response?.data?.error
+    const options = { cause: error, data: { url: error.config?.url, status } }
+
+    switch (status) {
+      case 304:
+        return new NotModifiedError(options)
+      case 404:
+        return new NotFoundError({ message: typeof message === 'string' ? message : undefined, ...options })
+      case 409:
+        return new ConcurrencyError({ message: typeof message === 'string' ? message : undefined, ...options })
+    }
+
+    if (status === 401) {
+      // The access token was revoked or has expired even though it was refreshed.
+      return new HttpError({ status, message: 'GitLab no longer accepts the access token. Please log in again.', cause: error, data: { ...options.data, provider } })
+    }
+
+    if (status === 403) {
+      return new HttpError({ status, message: 'GitLab denied access to the resource.', ...options })
+    }
+
+    if (!status) {
+      // No response at all, GitLab timed out or couldn't be reached.
+      return new HttpError({ status: 504, message: 'GitLab could not be reached or did not respond in time.', ...options })
+    }
+
+    return new HttpError({ status: 502, message: `GitLab responded with ${status} ${error.response.statusText ?? ''}`.trim(), ...options })
+  }
+}
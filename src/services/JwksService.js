@@ -0,0 +1,101 @@
+/**
+ * @file This file contains the JwksService class.
+ * @module JwksService
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { createPublicKey, KeyObject } from 'node:crypto'
+
+// User-land modules.
+import axios from 'axios'
+
+// Application modules.
+import { HttpError } from '../lib/errors/HttpError.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+
+/**
+ * The number of milliseconds a key set is cached.
+ *
+ * @type {number}
+ */
+const CACHE_MAX_AGE = 1000 * 60 * 60 // 1 hour
+
+/**
+ * The least number of milliseconds between two fetches of a key set, so that
+ * tokens with unknown key IDs can't make us hammer the service provider.
+ *
+ * @type {number}
+ */
+const MIN_REFETCH_INTERVAL = 1000 * 60 // 1 minute
+
+/**
+ * Encapsulates a service fetching and caching JSON Web Key Sets.
+ */
+export class JwksService {
+  /**
+   * The cached key sets, keyed by their URL.
+   *
+   * @type {Map<string, { keys: Map<string, KeyObject>, fetchedAt: number, pending: Promise|undefined }>}
+   */
+  #keySets
+
+  /**
+   * Initializes a new instance.
+   */
+  constructor () {
+    this.#keySets = new Map()
+  }
+
+  /**
+   * Gets the public key with the specified key ID.
+   *
+   * @param {string} jwksUri - The URL of the key set.
+   * @param {string} kid - The key ID.
+   * @returns {Promise<KeyObject>} - The public key.
+   */
+  async getKey (jwksUri, kid) {
+    if (!this.#keySets.has(jwksUri)) {
+      this.#keySets.set(jwksUri, { keys: new Map(), fetchedAt: 0 })
+    }
+
+    const keySet = this.#keySets.get(jwksUri)
+    const age = Date.now() - keySet.fetchedAt
+
+    // Refetch if the cache is stale, or the key is unknown since keys may have been rotated.
+    if (age > CACHE_MAX_AGE || (!keySet.keys.has(kid) && age > MIN_REFETCH_INTERVAL)) {
+      await this.#fetchKeys(jwksUri, keySet)
+    }
+
+    if (!keySet.keys.has(kid)) {
+      throw new ValidationError({ message: `No signing key with ID "${kid}" is published by the service provider.` })
+    }
+
+    return keySet.keys.get(kid)
+  }
+
+  /**
+   * Fetches a key set. Concurrent calls share the same request.
+   *
+   * @param {string} jwksUri - The URL of the key set.
+   * @param {object} keySet - The cache entry to update.
+   */
+  async #fetchKeys (jwksUri, keySet) {
+    keySet.pending ??= axios.get(jwksUri)
+      .then((response) => {
+        keySet.keys = new Map(response.data.keys
+          .filter((jwk) => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+          .map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })]))
+        keySet.fetchedAt = Date.now()
+      })
+      .finally(() => {
+        keySet.pending = undefined
+      })
+
+    try {
+      await keySet.pending
+    } catch (error) {
+      throw new HttpError({ status: 502, message: 'The signing keys of the service provider could not be fetched.', cause: error })
+    }
+  }
+}
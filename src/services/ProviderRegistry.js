@@ -0,0 +1,81 @@
+/**
+ * @file This file contains the ProviderRegistry class.
+ * @module ProviderRegistry
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { oauthOptions } from '../config/oauthOptions.js'
+import { NotFoundError } from '../lib/errors/NotFoundError.js'
+import { DiscoveryService } from './DiscoveryService.js'
+
+/**
+ * Encapsulates the configured identity providers, keyed by name.
+ */
+export class ProviderRegistry {
+  /**
+   * The service.
+   *
+   * @type {DiscoveryService}
+   */
+  #discoveryService
+
+  /**
+   * The providers' options, keyed by name.
+   *
+   * @type {Map<string, object>}
+   */
+  #providers
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {DiscoveryService} discoveryService - A service instantiated from a class with the same capabilities as DiscoveryService.
+   */
+  constructor (discoveryService) {
+    this.#discoveryService = discoveryService
+    this.#providers = new Map(Object.entries(oauthOptions.providers))
+  }
+
+  /**
+   * Gets the name of the provider used when none is specified.
+   *
+   * @returns {string} The name of the default provider.
+   */
+  get defaultName () {
+    return oauthOptions.defaultProvider
+  }
+
+  /**
+   * Gets the options of a provider.
+   *
+   * @param {string} name - The provider's name.
+   * @returns {object} The provider's options.
+   */
+  get (name) {
+    if (!this.#providers.has(name)) {
+      throw new NotFoundError({ message: `There is no identity provider named "${name}".`, data: { name } })
+    }
+
+    return this.#providers.get(name)
+  }
+
+  /**
+   * Gets the options of all providers.
+   *
+   * @returns {object[]} The providers' options, the default provider first.
+   */
+  list () {
+    return [...this.#providers.values()]
+  }
+
+  /**
+   * Gets the metadata from a provider's discovery document.
+   *
+   * @param {string} name - The provider's name.
+   * @returns {Promise<object>} The provider metadata.
+   */
+  async getMetadata (name) {
+    return this.#discoveryService.getMetadata(this.get(name).issuer)
+  }
+}
@@ -4,149 +4,1010 @@
  * @author Daniel Andersson
  */
 
-import axios from 'axios'
-
 // Application modules.
-import { HttpError } from '../lib/errors/HttpError.js'
-import { gql, GraphQLClient } from 'graphql-request'
+import { gql } from 'graphql-request'
 import { jwtDecode } from 'jwt-decode'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { NotFoundError } from '../lib/errors/NotFoundError.js'
+import { ValidationError } from '../lib/errors/ValidationError.js'
+import { CacheService } from './CacheService.js'
+import { GitLabClient } from './GitLabClient.js'
+import { ProviderRegistry } from './ProviderRegistry.js'
+import { TokenService } from './TokenService.js'
+
+/**
+ * The actions GitLab's events API can filter on.
+ *
+ * @type {string[]}
+ */
+export const EVENT_ACTIONS = ['approved', 'closed', 'commented', 'created', 'destroyed', 'expired', 'joined', 'left', 'merged', 'pushed', 'reopened', 'updated']
+
+/**
+ * The target types GitLab's events API can filter on.
+ *
+ * @type {string[]}
+ */
+export const EVENT_TARGET_TYPES = ['epic', 'issue', 'merge_request', 'milestone', 'note', 'project', 'snippet', 'user', 'wiki']
+
+/**
+ * The merge request lists of the current user, keyed by the tab showing them.
+ *
+ * @type {object}
+ */
+export const MERGE_REQUEST_TABS = {
+  authored: 'authoredMergeRequests',
+  assigned: 'assignedMergeRequests',
+  review_requested: 'reviewRequestedMergeRequests'
+}
+
+/**
+ * The states merge requests can be filtered on.
+ *
+ * @type {string[]}
+ */
+export const MERGE_REQUEST_STATES = ['opened', 'merged', 'closed', 'locked', 'all']
+
+/**
+ * The issue filters GitLab's issues API accepts, with their allowed values.
+ *
+ * @type {object}
+ */
+export const ISSUE_FILTERS = {
+  scope: ['assigned_to_me', 'created_by_me'],
+  state: ['opened', 'closed', 'all'],
+  dueDate: ['overdue', 'today', 'tomorrow', 'week', 'month', 'any', '0'],
+  orderBy: ['updated_at', 'due_date']
+}
+
+/**
+ * The number of days before its due date an open issue is due soon.
+ *
+ * @type {number}
+ */
+const DUE_SOON_DAYS = 7
+
+/**
+ * The longest date range activity statistics can be computed for, in days.
+ *
+ * @type {number}
+ */
+const MAX_STATISTICS_DAYS = 366
+
+/**
+ * The number of most active projects in the activity statistics.
+ *
+ * @type {number}
+ */
+const TOP_PROJECTS = 5
+
+/**
+ * The most pages of activities the activity statistics are computed from,
+ * the latest ones, so a busy year doesn't hold up the profile page.
+ *
+ * @type {number}
+ */
+const MAX_STATISTICS_PAGES = 20
+
+/**
+ * The number of milliseconds in a day.
+ *
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * The largest page size GitLab accepts.
+ *
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 100
+
+/**
+ * A date on the form YYYY-MM-DD.
+ *
+ * @type {RegExp}
+ */
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Validates that a filter is one of the allowed values, if it's given.
+ *
+ * @param {string} name - The name of the filter.
+ * @param {string} [value] - The value of the filter.
+ * @param {string[]} allowed - The allowed values.
+ * @returns {string|undefined} The value, undefined if it's empty.
+ */
+const oneOf = (name, value, allowed) => {
+  if (value && !allowed.includes(value)) {
+    throw new ValidationError({ message: `"${name}" must be one of ${allowed.join(', ')}.`, data: { [name]: value } })
+  }
+
+  return value || undefined
+}
+
+/**
+ * Validates that a filter is a date on the form YYYY-MM-DD, if it's given.
+ *
+ * @param {string} name - The name of the filter.
+ * @param {string} [value] - The value of the filter.
+ * @returns {string|undefined} The value, undefined if it's empty.
+ */
+const date = (name, value) => {
+  if (value && !(DATE_REGEX.test(value) && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value))) {
+    throw new ValidationError({ message: `"${name}" must be a date on the form YYYY-MM-DD.`, data: { [name]: value } })
+  }
+
+  return value || undefined
+}
+
+/**
+ * The fields of a page of projects, shared by the queries listing projects.
+ *
+ * @type {string}
+ */
+const projectConnectionFragment = gql`
+  fragment ProjectConnectionFields on ProjectConnection {
+    nodes {
+      avatarUrl
+      name
+      webUrl
+      fullPath
+      repository {
+        tree {
+          lastCommit {
+            committedDate
+            authorGravatar
+            author {
+              name
+              username
+            }
+            pipelines(first: 1) {
+              nodes {
+                status
+                webPath
+              }
+            }
+          }
+        }
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+`
+
+/**
+ * The number of branches, tags and contributors shown of a project.
+ *
+ * @type {object}
+ */
+const PROJECT_LIST_SIZES = {
+  branches: 100,
+  tags: 20,
+  contributors: 10
+}
 
 /**
  * Encapsulates a Auth service.
  */
 export class ResourceService {
+  /**
+   * The GitLab client.
+   *
+   * @type {GitLabClient}
+   */
+  #gitLabClient
+
+  /**
+   * The cache.
+   *
+   * @type {CacheService}
+   */
+  #cacheService
+
+  /**
+   * The service.
+   *
+   * @type {TokenService}
+   */
+  #tokenService
+
+  /**
+   * The identity providers.
+   *
+   * @type {ProviderRegistry}
+   */
+  #providers
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {GitLabClient} gitLabClient - A client instantiated from a class with the same capabilities as GitLabClient.
+   * @param {CacheService} cacheService - A service instantiated from a class with the same capabilities as CacheService.
+   * @param {TokenService} tokenService - A service instantiated from a class with the same capabilities as TokenService.
+   * @param {ProviderRegistry} providers - A registry instantiated from a class with the same capabilities as ProviderRegistry.
+   */
+  constructor (gitLabClient, cacheService, tokenService, providers) {
+    this.#gitLabClient = gitLabClient
+    this.#cacheService = cacheService
+    this.#tokenService = tokenService
+    this.#providers = providers
+  }
+
+  /**
+   * Lists the identity providers and whether an account from each is linked to the session.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @returns {object[]} - The providers' names, display names and link status.
+   */
+  listAccounts (session) {
+    return this.#providers.list().map(({ name, displayName }) => ({
+      name,
+      displayName,
+      isPrimary: session.user?.provider === name,
+      isLinked: !!session.tokens?.[name]
+    }))
+  }
+
   /**
    * Fetches and formats profile data.
    *
-   * @param {object} user - Object containing tokens.
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
    * @returns {object} - Data from the authorized user.
    */
-  async fetchProfile (user) {
-    try {
-      const graphQLClient = new GraphQLClient('https://gitlab.lnu.se/api/graphql', {
-        headers: {
-          authorization: `Bearer ${user.access_token}`
-        }
-      })
-
-      const query = gql`
-        query {
-          currentUser {
-            lastActivityOn
-          }
+  async fetchProfile (session, provider, options = {}) {
+    const query = gql`
+      query {
+        currentUser {
+          lastActivityOn
         }
-      `
+      }
+    `
 
-      const userPayload = jwtDecode(user.id_token)
-      const response = await graphQLClient.request(query)
+    const response = await this.#query(session, provider, 'profile', query, {}, options)
+    const userPayload = await this.#fetchUserInfo(session, provider, options)
 
-      return {
-        id: userPayload.sub,
-        email: userPayload.email,
-        username: userPayload.preferred_username,
-        name: userPayload.name,
-        avatar: userPayload.picture,
-        lastActivityOn: response.currentUser.lastActivityOn
-      }
-    } catch (error) {
-      throw new HttpError(error)
+    return {
+      id: userPayload.sub,
+      email: userPayload.email,
+      username: userPayload.preferred_username,
+      name: userPayload.name,
+      avatar: userPayload.picture,
+      lastActivityOn: response.currentUser.lastActivityOn
     }
   }
 
   /**
    * Fetches and formats activities data.
    *
-   * @param {object} user - Object containing tokens.
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
    * @param {number} page - Page of data to fetch.
    * @param {number} limit - Number of resorces per page.
+   * @param {object} [filters] - The filters, see #eventParams.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
    * @returns {object} - Object including activities and page data.
    */
-  async fetchActivities (user, page = 1, limit = 20) {
-    try {
-      const totalActivities = 120
-      const totalPages = Math.ceil(totalActivities / limit)
-
-      const response = await axios.get('https://gitlab.lnu.se/api/v4/events', {
-        params: {
-          per_page: limit,
-          page: page <= totalPages ? page : totalPages
-        },
-        headers: {
-          Authorization: `Bearer ${user.access_token}`
+  async fetchActivities (session, provider, page = 1, limit = 20, filters = {}, options = {}) {
+    const response = await this.#get(session, provider, '/v4/events', { ...this.#eventParams(filters), per_page: limit, page }, options)
+
+    return {
+      activities: response.data,
+      limit,
+      ...this.#pageInfo(response, page, limit)
+    }
+  }
+
+  /**
+   * Fetches all activities matching the filters, a page at a time, walking
+   * GitLab's pagination. The filters are validated right away, before the
+   * first page is fetched.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} [filters] - The filters, see #eventParams.
+   * @returns {object} - An async iterator over the pages of activities.
+   */
+  streamActivities (session, provider, filters = {}) {
+    return this.#walkPages(session, provider, '/v4/events', this.#eventParams(filters))
+  }
+
+  /**
+   * Computes statistics of the user's activities between two dates: the
+   * number of activities each day, pushes, commits, merge requests opened and
+   * merged, issues closed, the most active projects and the busiest weekday
+   * and hour (UTC). By default the statistics cover the last year. Only the
+   * latest MAX_STATISTICS_PAGES pages of activities are counted, and if there
+   * are more the statistics are marked as truncated.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} [range] - The date range.
+   * @param {string} [range.from] - The first day, YYYY-MM-DD.
+   * @param {string} [range.to] - The last day, YYYY-MM-DD, by default today.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {Promise<object>} - The statistics.
+   */
+  async fetchActivityStatistics (session, provider, { from, to } = {}, options = {}) {
+    const last = date('to', to) ?? new Date().toISOString().slice(0, 10)
+    const first = date('from', from) ?? new Date(Date.parse(last) - (MAX_STATISTICS_DAYS - 1) * DAY).toISOString().slice(0, 10)
+    const days = (Date.parse(last) - Date.parse(first)) / DAY + 1
+
+    if (days < 1 || days > MAX_STATISTICS_DAYS) {
+      throw new ValidationError({ message: `"from" must be at most ${MAX_STATISTICS_DAYS} days before "to", and not after it.`, data: { from, to } })
+    }
+
+    return this.#cacheService.fetch(this.#cacheKey(session, provider, `statistics:${first}:${last}`), async () => {
+      // GitLab's "after" and "before" leave out the days themselves. The
+      // latest activities come first, to be the ones counted if there are
+      // too many.
+      const params = {
+        after: new Date(Date.parse(first) - DAY).toISOString().slice(0, 10),
+        before: new Date(Date.parse(last) + DAY).toISOString().slice(0, 10),
+        sort: 'desc'
+      }
+
+      const statistics = {
+        from: first,
+        to: last,
+        total: 0,
+        days: {},
+        pushes: 0,
+        commits: 0,
+        mergeRequestsOpened: 0,
+        mergeRequestsMerged: 0,
+        issuesClosed: 0,
+        weekdays: new Array(7).fill(0),
+        hours: new Array(24).fill(0),
+        truncated: false
+      }
+      const projects = new Map()
+      const pages = this.#walkPages(session, provider, '/v4/events', params, MAX_STATISTICS_PAGES)
+      let page
+
+      // Walk the pages by hand, as the walk ends with whether any were left.
+      while (!(page = await pages.next()).done) {
+        for (const activity of page.value) {
+          const createdAt = new Date(activity.created_at)
+          const day = activity.created_at.slice(0, 10)
+
+          statistics.total++
+          statistics.days[day] = (statistics.days[day] ?? 0) + 1
+          statistics.weekdays[createdAt.getUTCDay()]++
+          statistics.hours[createdAt.getUTCHours()]++
+
+          if (activity.push_data) {
+            statistics.pushes++
+            statistics.commits += activity.push_data.commit_count ?? 0
+          } else if (activity.target_type === 'MergeRequest' && activity.action_name === 'opened') {
+            statistics.mergeRequestsOpened++
+          } else if (activity.target_type === 'MergeRequest' && activity.action_name === 'accepted') {
+            statistics.mergeRequestsMerged++
+          } else if (activity.target_type === 'Issue' && activity.action_name === 'closed') {
+            statistics.issuesClosed++
+          }
+
+          if (activity.project_id) {
+            projects.set(activity.project_id, (projects.get(activity.project_id) ?? 0) + 1)
+          }
         }
-      })
+      }
 
-      return {
-        activities: response.data,
-        page,
-        totalPages,
-        limit
+      statistics.truncated = page.value
+
+      const topProjects = [...projects].sort(([, a], [, b]) => b - a).slice(0, TOP_PROJECTS)
+
+      statistics.projects = await Promise.all(topProjects.map(async ([id, count]) => {
+        try {
+          const { data } = await this.#get(session, provider, `/v4/projects/${id}`, {}, options)
+
+          return { id, name: data.name_with_namespace, fullPath: data.path_with_namespace, count }
+        } catch (error) {
+          // The user may have lost access to the project since.
+          if (error instanceof NotFoundError) {
+            return { id, name: null, fullPath: null, count }
+          }
+
+          throw error
+        }
+      }))
+      statistics.busiestWeekday = statistics.total ? statistics.weekdays.indexOf(Math.max(...statistics.weekdays)) : null
+      statistics.busiestHour = statistics.total ? statistics.hours.indexOf(Math.max(...statistics.hours)) : null
+
+      return { value: statistics }
+    }, options)
+  }
+
+  /**
+   * Fetches and formats the activities in a project.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} projectId - The ID or full path of the project.
+   * @param {number} page - Page of data to fetch.
+   * @param {number} limit - Number of resorces per page.
+   * @param {object} [filters] - The filters, see #eventParams.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - Object including the project, its activities and page data.
+   */
+  async fetchProjectActivities (session, provider, projectId, page = 1, limit = 20, filters = {}, options = {}) {
+    const path = `/v4/projects/${encodeURIComponent(projectId)}`
+    const params = { ...this.#eventParams(filters), per_page: limit, page }
+    const [project, response] = await Promise.all([
+      this.#get(session, provider, path, {}, options),
+      this.#get(session, provider, `${path}/events`, params, options)
+    ])
+
+    return {
+      project: {
+        id: project.data.id,
+        name: project.data.name_with_namespace,
+        webUrl: project.data.web_url
+      },
+      activities: response.data,
+      limit,
+      ...this.#pageInfo(response, page, limit)
+    }
+  }
+
+  /**
+   * Fetches a page of the user's groups, each with the first page of its projects.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} page - The page to fetch.
+   * @param {number} page.groups - The number of groups per page.
+   * @param {number} page.projects - The number of projects per page.
+   * @param {string} [page.after] - The cursor of the last group of the previous page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - The groups and page info.
+   */
+  async fetchGroups (session, provider, { groups, projects, after }, options = {}) {
+    const query = gql`
+      query ($groups: Int, $projects: Int, $after: String) {
+        currentUser {
+          groups(first: $groups, after: $after) {
+            nodes {
+              avatarUrl
+              name
+              webUrl
+              fullPath
+              projects(first: $projects) {
+                ...ProjectConnectionFields
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
       }
-    } catch (error) {
-      throw new HttpError(error)
+      ${projectConnectionFragment}
+    `
+
+    const response = await this.#query(session, provider, 'groups', query, { groups, projects, after }, options)
+
+    return response.currentUser.groups
+  }
+
+  /**
+   * Fetches a page of the projects of a group.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} fullPath - The full path of the group.
+   * @param {object} page - The page to fetch.
+   * @param {number} page.projects - The number of projects per page.
+   * @param {string} [page.after] - The cursor of the last project of the previous page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - The projects and page info.
+   */
+  async fetchGroupProjects (session, provider, fullPath, { projects, after }, options = {}) {
+    const [connection] = await this.fetchProjectsOfGroups(session, provider, [fullPath], { projects, after }, options)
+
+    if (connection instanceof Error) {
+      throw connection
     }
+
+    return connection
   }
 
   /**
-   * Fetches and formats profile data.
+   * Fetches the same page of the projects of several groups with one query.
    *
-   * @param {object} user - Object containing tokens.
-   * @returns {object} - Data from the authorized user.
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string[]} fullPaths - The full paths of the groups.
+   * @param {object} page - The page to fetch.
+   * @param {number} page.projects - The number of projects per page.
+   * @param {string} [page.after] - The cursor of the last project of the previous page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {Promise<Array<object|NotFoundError>>} - The projects and page info of each group, in the same order as the full paths, or a NotFoundError for a group that could not be found.
+   */
+  async fetchProjectsOfGroups (session, provider, fullPaths, { projects, after }, options = {}) {
+    // A query without any group fields isn't valid GraphQL.
+    if (!fullPaths.length) {
+      return []
+    }
+
+    const variables = { projects, after }
+    const groups = fullPaths.map((fullPath, index) => {
+      variables[`fullPath${index}`] = fullPath
+
+      return `group${index}: group(fullPath: $fullPath${index}) { projects(first: $projects, after: $after) { ...ProjectConnectionFields } }`
+    })
+
+    const query = gql`
+      query ($projects: Int, $after: String, ${fullPaths.map((fullPath, index) => `$fullPath${index}: ID!`).join(', ')}) {
+        ${groups.join('\n')}
+      }
+      ${projectConnectionFragment}
+    `
+
+    const response = await this.#query(session, provider, 'groupProjects', query, variables, options)
+
+    return fullPaths.map((fullPath, index) => response[`group${index}`]?.projects ??
+      new NotFoundError({ message: `The group "${fullPath}" could not be found.`, data: { fullPath } }))
+  }
+
+  /**
+   * Fetches a project with a page of the recent commits of its default
+   * branch, its branches, latest tags, top contributors and languages. GitLab's
+   * GraphQL API has no commits, tags or contributors, those come from the REST API.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} fullPath - The full path of the project.
+   * @param {number} page - Page of commits to fetch.
+   * @param {number} limit - Number of commits per page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - The project, its commits and page data.
    */
-  async fetchGroups (user) {
-    try {
-      const graphQLClient = new GraphQLClient('https://gitlab.lnu.se/api/graphql', {
-        headers: {
-          authorization: `Bearer ${user.access_token}`
+  async fetchProject (session, provider, fullPath, page = 1, limit = 20, options = {}) {
+    const query = gql`
+      query ($fullPath: ID!, $branches: Int!) {
+        project(fullPath: $fullPath) {
+          id
+          name
+          nameWithNamespace
+          fullPath
+          description
+          webUrl
+          avatarUrl
+          group {
+            name
+            fullPath
+          }
+          repository {
+            empty
+            rootRef
+            branchNames(searchPattern: "*", offset: 0, limit: $branches)
+          }
+          languages {
+            name
+            share
+            color
+          }
         }
-      })
+      }
+    `
 
-      const query = gql`
-        query {
-          currentUser {
-            groups(first: 3) {
-              nodes {
-                avatarUrl
-                name
-                webUrl
-                fullPath
-                projects(first: 5) {
-                  nodes {
-                    avatarUrl
+    const { project } = await this.#query(session, provider, 'project', query, { fullPath, branches: PROJECT_LIST_SIZES.branches }, options)
+
+    if (!project) {
+      throw new NotFoundError({ message: `The project "${fullPath}" could not be found.`, data: { fullPath } })
+    }
+
+    const { repository, ...details } = project
+    const result = {
+      project: {
+        ...details,
+        defaultBranch: repository?.rootRef ?? null,
+        branches: repository?.branchNames ?? []
+      },
+      tags: [],
+      contributors: [],
+      commits: [],
+      limit,
+      page,
+      hasNextPage: false
+    }
+
+    // An empty repository has nothing more to show.
+    if (!repository || repository.empty) {
+      return result
+    }
+
+    const path = `/v4/projects/${encodeURIComponent(fullPath)}/repository`
+    const [commits, tags, contributors] = await Promise.all([
+      this.#get(session, provider, `${path}/commits`, { ref_name: repository.rootRef, per_page: limit, page }, options),
+      this.#get(session, provider, `${path}/tags`, { order_by: 'updated', sort: 'desc', per_page: PROJECT_LIST_SIZES.tags }, options),
+      this.#get(session, provider, `${path}/contributors`, { order_by: 'commits', sort: 'desc', per_page: PROJECT_LIST_SIZES.contributors }, options)
+    ])
+
+    return {
+      ...result,
+      tags: tags.data,
+      contributors: contributors.data,
+      commits: commits.data,
+      ...this.#pageInfo(commits, page, limit)
+    }
+  }
+
+  /**
+   * Fetches a page of a project's most recent pipelines, with their jobs.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} fullPath - The full path of the project.
+   * @param {object} page - The page to fetch.
+   * @param {number} page.limit - The number of pipelines per page.
+   * @param {string} [page.after] - The cursor of the last pipeline of the previous page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - The project, with its pipelines and page info.
+   */
+  async fetchPipelines (session, provider, fullPath, { limit, after }, options = {}) {
+    const query = gql`
+      query ($fullPath: ID!, $limit: Int, $after: String) {
+        project(fullPath: $fullPath) {
+          name
+          nameWithNamespace
+          fullPath
+          webUrl
+          pipelines(first: $limit, after: $after) {
+            nodes {
+              iid
+              status
+              ref
+              shortSha: sha(format: SHORT)
+              source
+              duration
+              createdAt
+              finishedAt
+              webPath
+              jobs {
+                nodes {
+                  name
+                  status
+                  duration
+                  webPath
+                  stage {
                     name
-                    webUrl
-                    fullPath
-                    repository {
-                      tree {
-                        lastCommit {
-                          committedDate
-                          authorGravatar
-                          author {
-                            name
-                            username
-                          }
-                        }
-                      }
-                    }
-                  }
-                  pageInfo {
-                    hasNextPage
                   }
                 }
               }
-              pageInfo {
-                hasNextPage
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `
+
+    const { project } = await this.#query(session, provider, 'pipelines', query, { fullPath, limit, after }, options)
+
+    if (!project) {
+      throw new NotFoundError({ message: `The project "${fullPath}" could not be found.`, data: { fullPath } })
+    }
+
+    return project
+  }
+
+  /**
+   * Fetches a page of the merge requests the user authored, is assigned to
+   * or is asked to review. A page is either the one after or before a cursor.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} filters - The filters.
+   * @param {string} filters.tab - The list to fetch, one of the keys of MERGE_REQUEST_TABS.
+   * @param {string} [filters.state] - Only merge requests in this state, by default open ones.
+   * @param {string} [filters.draft] - "true" for only drafts, "false" for no drafts.
+   * @param {object} page - The page to fetch.
+   * @param {number} page.limit - The number of merge requests per page.
+   * @param {string} [page.after] - The cursor of the last merge request of the previous page.
+   * @param {string} [page.before] - The cursor of the first merge request of the next page.
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - The merge requests and page info.
+   */
+  async fetchMergeRequests (session, provider, { tab, state, draft }, { limit, after, before }, options = {}) {
+    const field = MERGE_REQUEST_TABS[oneOf('tab', tab, Object.keys(MERGE_REQUEST_TABS)) ?? 'authored']
+    const drafts = oneOf('draft', draft, ['true', 'false'])
+    const variables = {
+      state: oneOf('state', state, MERGE_REQUEST_STATES) ?? 'opened',
+      draft: drafts && drafts === 'true',
+      ...(before ? { last: limit, before } : { first: limit, after })
+    }
+
+    const query = gql`
+      query ($state: MergeRequestState, $draft: Boolean, $first: Int, $after: String, $last: Int, $before: String) {
+        currentUser {
+          mergeRequests: ${field}(state: $state, draft: $draft, first: $first, after: $after, last: $last, before: $before, sort: UPDATED_DESC) {
+            nodes {
+              iid
+              title
+              webUrl
+              state
+              draft
+              createdAt
+              updatedAt
+              sourceBranch
+              targetBranch
+              author {
+                name
+                username
+                avatarUrl
+              }
+              project {
+                name
+                fullPath
               }
+              headPipeline {
+                status
+                webPath
+              }
+            }
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+              startCursor
+              endCursor
             }
           }
         }
-      `
+      }
+    `
 
-      const response = await graphQLClient.request(query)
+    const response = await this.#query(session, provider, `mergeRequests:${field}`, query, variables, options)
+    const { nodes, pageInfo } = response.currentUser.mergeRequests
 
-      return response.currentUser.groups
-    } catch (error) {
-      throw new HttpError(error)
+    // GitLab only looks one way from a cursor, but the page the user came from is known to be there.
+    return {
+      nodes,
+      pageInfo: { ...pageInfo, hasNextPage: pageInfo.hasNextPage || !!before, hasPreviousPage: pageInfo.hasPreviousPage || !!after }
     }
   }
+
+  /**
+   * Fetches a page of the issues assigned to or created by the user, in all
+   * the groups and projects the user can see. Open issues are marked as
+   * overdue or due soon.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {number} page - Page of data to fetch.
+   * @param {number} limit - Number of issues per page.
+   * @param {object} [filters] - The filters.
+   * @param {string} [filters.scope] - "assigned_to_me", the default, or "created_by_me".
+   * @param {string} [filters.labels] - Only issues with all of these comma-separated labels.
+   * @param {string} [filters.milestone] - Only issues in the milestone with this title.
+   * @param {string} [filters.state] - Only issues in this state, by default open ones.
+   * @param {string} [filters.dueDate] - Only issues due in this period, e.g. "week" or "overdue".
+   * @param {string} [filters.orderBy] - "updated_at", the default, or "due_date".
+   * @param {string} [filters.sort] - "asc" or "desc".
+   * @param {object} [options] - Additional options.
+   * @param {boolean} [options.refresh] - Whether to bypass the cache.
+   * @returns {object} - Object including issues and page data.
+   */
+  async fetchIssues (session, provider, page = 1, limit = 20, filters = {}, options = {}) {
+    const { scope, labels, milestone, state, dueDate, orderBy, sort } = filters
+    const params = Object.fromEntries(Object.entries({
+      scope: oneOf('scope', scope, ISSUE_FILTERS.scope) ?? 'assigned_to_me',
+      labels: labels || undefined,
+      milestone: milestone || undefined,
+      state: oneOf('state', state, ISSUE_FILTERS.state) ?? 'opened',
+      due_date: oneOf('due_date', dueDate, ISSUE_FILTERS.dueDate),
+      order_by: oneOf('order_by', orderBy, ISSUE_FILTERS.orderBy) ?? 'updated_at',
+      sort: oneOf('sort', sort, ['asc', 'desc']),
+      per_page: limit,
+      page
+    }).filter(([, value]) => value !== undefined))
+
+    const response = await this.#get(session, provider, '/v4/issues', params, options)
+    const today = new Date().toISOString().slice(0, 10)
+    const dueSoon = new Date(Date.now() + DUE_SOON_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    return {
+      issues: response.data.map((issue) => ({
+        ...issue,
+        due_status: issue.state !== 'opened' || !issue.due_date
+          ? null
+          : issue.due_date < today ? 'overdue' : issue.due_date <= dueSoon ? 'due_soon' : null
+      })),
+      limit,
+      ...this.#pageInfo(response, page, limit)
+    }
+  }
+
+  /**
+   * Fetches every page of a REST API resource, or at most maxPages of them,
+   * bypassing the cache.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} path - The path relative to the API's base URL.
+   * @param {object} params - The query parameters.
+   * @param {number} [maxPages] - The most pages to fetch.
+   * @yields {object[]} - The items of a page.
+   * @returns {boolean} - Whether pages were left when maxPages was reached.
+   */
+  async * #walkPages (session, provider, path, params, maxPages = Infinity) {
+    for (let page = 1; ; page++) {
+      const response = await this.#gitLabClient.get(session, provider, path, { params: { ...params, per_page: MAX_PAGE_SIZE, page } })
+
+      if (!response.data.length) {
+        return false
+      }
+
+      yield response.data
+
+      if (!this.#pageInfo(response, page, MAX_PAGE_SIZE).hasNextPage) {
+        return false
+      }
+
+      if (page >= maxPages) {
+        return true
+      }
+    }
+  }
+
+  /**
+   * Validates activity filters and turns them into events API parameters.
+   *
+   * @param {object} filters - The filters.
+   * @param {string} [filters.action] - Only events with this action, e.g. "pushed".
+   * @param {string} [filters.targetType] - Only events on this type of target, e.g. "issue".
+   * @param {string} [filters.after] - Only events after this date, YYYY-MM-DD.
+   * @param {string} [filters.before] - Only events before this date, YYYY-MM-DD.
+   * @param {string} [filters.sort] - "asc" or "desc" by creation date.
+   * @returns {object} - The parameters.
+   */
+  #eventParams ({ action, targetType, after, before, sort }) {
+    const params = {
+      action: oneOf('action', action, EVENT_ACTIONS),
+      target_type: oneOf('target_type', targetType, EVENT_TARGET_TYPES),
+      after: date('after', after),
+      before: date('before', before),
+      sort: oneOf('sort', sort, ['asc', 'desc'])
+    }
+
+    if (params.after && params.before && params.after >= params.before) {
+      throw new ValidationError({ message: '"after" must be earlier than "before".', data: { after, before } })
+    }
+
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+  }
+
+  /**
+   * Works out where a page of a REST API response is. GitLab sends the totals
+   * in the X-Total and X-Total-Pages headers, but leaves them out when
+   * counting would be too expensive, and then only the X-Next-Page header or
+   * the "next" link of the Link header tells whether there are more pages.
+   *
+   * @param {{ data: *[], headers: object }} response - The response.
+   * @param {number} page - The page number.
+   * @param {number} limit - The number of items per page.
+   * @returns {{ page: number, total?: number, totalPages?: number, hasNextPage: boolean }} - The page info.
+   */
+  #pageInfo ({ data, headers }, page, limit) {
+    if (headers['x-total']) {
+      const total = Number(headers['x-total'])
+      const totalPages = Number(headers['x-total-pages']) || Math.ceil(total / limit)
+
+      return { page, total, totalPages, hasNextPage: page < totalPages }
+    }
+
+    const hasNextPage = 'x-next-page' in headers
+      ? !!headers['x-next-page']
+      : /<[^>]*>;\s*rel="next"/.test(headers.link ?? '') || data.length === limit
+
+    return { page, hasNextPage }
+  }
+
+  /**
+   * Fetches the claims about the user from the userinfo endpoint, or from the
+   * ID token if the service provider has no such endpoint.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {object} options - Options for the cache.
+   * @returns {object} - The claims about the user.
+   */
+  async #fetchUserInfo (session, provider, options) {
+    const metadata = await this.#providers.getMetadata(provider)
+
+    if (!metadata.userinfo_endpoint) {
+      return jwtDecode(this.#tokenService.getTokens(session, provider).id_token)
+    }
+
+    const response = await this.#get(session, provider, metadata.userinfo_endpoint, {}, options)
+
+    return response.data
+  }
+
+  /**
+   * Sends a GraphQL query, or gets its result from the cache.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} name - A name identifying the query in the cache.
+   * @param {string} query - The GraphQL query.
+   * @param {object} variables - The query's variables.
+   * @param {object} options - Options for the cache.
+   * @returns {Promise<object>} - The data of the response.
+   */
+  #query (session, provider, name, query, variables, options) {
+    return this.#cacheService.fetch(this.#cacheKey(session, provider, `graphql:${name}:${JSON.stringify(variables)}`), async () => ({
+      value: await this.#gitLabClient.query(session, provider, query, variables)
+    }), options)
+  }
+
+  /**
+   * Sends a GET request to the REST API, or gets the response from the cache,
+   * revalidating it with GitLab if it's stale.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider to fetch from.
+   * @param {string} path - The path relative to the API's base URL, or an absolute URL.
+   * @param {object} params - The query parameters.
+   * @param {object} options - Options for the cache.
+   * @returns {Promise<{ data: *, headers: object }>} - The body and headers of the response.
+   */
+  #get (session, provider, path, params, options) {
+    const key = this.#cacheKey(session, provider, `${path}?${new URLSearchParams(params)}`)
+
+    return this.#cacheService.fetch(key, async ({ etag, lastModified }) => {
+      const headers = {}
+
+      if (etag) {
+        headers['If-None-Match'] = etag
+      }
+
+      if (lastModified) {
+        headers['If-Modified-Since'] = lastModified
+      }
+
+      const response = await this.#gitLabClient.get(session, provider, path, { params, headers })
+
+      return {
+        value: { data: response.data, headers: { ...response.headers } },
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified']
+      }
+    }, options)
+  }
+
+  /**
+   * Creates a cache key scoped to the logged in user, so no user is ever
+   * served another user's data.
+   *
+   * @param {object} session - Session containing the user's tokens.
+   * @param {string} provider - The name of the identity provider the resource is fetched from.
+   * @param {string} resource - The resource.
+   * @returns {string} - The cache key.
+   */
+  #cacheKey (session, provider, resource) {
+    if (!session.user?.provider || !session.user?.sub) {
+      throw new HttpError({ status: 401, message: 'The session does not identify the user. Please log in again.' })
+    }
+
+    return [session.user.provider, session.user.sub, provider, resource].join(':')
+  }
 }
@@ -0,0 +1,144 @@
+/**
+ * @file This file contains the SessionService class.
+ * @module SessionService
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import { createHash } from 'node:crypto'
+import { promisify } from 'node:util'
+
+// Application modules.
+import { isSessionExpired } from '../config/sessionOptions.js'
+import { HttpError } from '../lib/errors/HttpError.js'
+import { NotFoundError } from '../lib/errors/NotFoundError.js'
+import { AuthService } from './AuthService.js'
+
+/**
+ * Encapsulates a service managing a user's sessions across devices.
+ */
+export class SessionService {
+  /**
+   * The service.
+   *
+   * @type {AuthService}
+   */
+  #authService
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {AuthService} authService - A service instantiated from a class with the same capabilities as AuthService.
+   */
+  constructor (authService) {
+    this.#authService = authService
+  }
+
+  /**
+   * Lists the active sessions of the user the session belongs to. Expired
+   * sessions may linger in the store until their cookie expires, those are left out.
+   *
+   * @param {object} store - The session store.
+   * @param {object} session - The current session.
+   * @returns {Promise<object[]>} - The sessions, most recently seen first.
+   */
+  async listSessions (store, session) {
+    const sessions = await this.#findSessions(store, session)
+    const now = Date.now()
+
+    return sessions
+      .filter(({ sid, sess }) => sid === session.id || !isSessionExpired(sess, now))
+      .map(({ sid, sess }) => ({
+        id: this.#publicId(sid),
+        ip: sess.client?.ip,
+        userAgent: sess.client?.userAgent,
+        lastSeenAt: new Date(sess.client?.lastSeenAt ?? sess.createdAt),
+        createdAt: new Date(sess.createdAt),
+        isCurrent: sid === session.id
+      }))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+  }
+
+  /**
+   * Revokes another session of the user the session belongs to.
+   *
+   * @param {object} store - The session store.
+   * @param {object} session - The current session.
+   * @param {string} id - The public ID of the session to revoke.
+   */
+  async revokeSession (store, session, id) {
+    const match = (await this.#findSessions(store, session))
+      .find(({ sid }) => sid !== session.id && this.#publicId(sid) === id)
+
+    if (!match) {
+      throw new NotFoundError({ message: 'The session could not be found.', data: { id } })
+    }
+
+    await this.#revoke(store, match.sid)
+  }
+
+  /**
+   * Revokes all other sessions of the user the session belongs to.
+   *
+   * @param {object} store - The session store.
+   * @param {object} session - The current session.
+   * @returns {Promise<number>} - The number of revoked sessions.
+   */
+  async revokeOtherSessions (store, session) {
+    const others = (await this.#findSessions(store, session)).filter(({ sid }) => sid !== session.id)
+
+    for (const { sid } of others) {
+      await this.#revoke(store, sid)
+    }
+
+    return others.length
+  }
+
+  /**
+   * Finds the sessions of the same user as a session.
+   *
+   * @param {object} store - The session store.
+   * @param {object} session - The current session.
+   * @returns {Promise<{ sid: string, sess: object }[]>} - The sessions.
+   */
+  async #findSessions (store, session) {
+    const { provider, sub } = session.user
+
+    // A session without a subject could be mistaken for any other such session.
+    if (!provider || !sub) {
+      throw new HttpError({ status: 401, message: 'The session does not identify the user. Please log in again.' })
+    }
+
+    const all = await promisify(store.all.bind(store))()
+
+    return Object.entries(all || {})
+      .filter(([, sess]) => sess.user?.provider === provider && sess.user?.sub === sub)
+      .map(([sid, sess]) => ({ sid, sess }))
+  }
+
+  /**
+   * Revokes the tokens of a session and destroys it.
+   *
+   * @param {object} store - The session store.
+   * @param {string} sid - The session ID.
+   */
+  async #revoke (store, sid) {
+    const sess = await promisify(store.get.bind(store))(sid)
+
+    await Promise.all(Object.entries(sess?.tokens || {})
+      .map(([provider, tokens]) => this.#authService.revokeTokens(provider, tokens)))
+
+    await promisify(store.destroy.bind(store))(sid)
+  }
+
+  /**
+   * Derives an ID that identifies a session on the page without revealing
+   * the session ID, which would let anyone seeing it take over the session.
+   *
+   * @param {string} sid - The session ID.
+   * @returns {string} - The public ID.
+   */
+  #publicId (sid) {
+    return createHash('sha256').update(sid).digest('base64url').slice(0, 16)
+  }
+}
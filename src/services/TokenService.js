@@ -0,0 +1,155 @@
+/**
+ * @file This file contains the TokenService class.
+ * @module TokenService
+ * @author Daniel Andersson
+ */
+
+// Application modules.
+import { HttpError } from '../lib/errors/HttpError.js'
+import { AuthService } from './AuthService.js'
+
+/**
+ * The number of milliseconds before expiry an access token is considered to be about to expire.
+ *
+ * @type {number}
+ */
+const EXPIRY_MARGIN = 1000 * 60 // 1 minute
+
+/**
+ * The number of milliseconds a finished refresh is remembered, so that requests
+ * that loaded the session before the rotated tokens were saved can reuse them.
+ *
+ * @type {number}
+ */
+const REFRESH_GRACE_PERIOD = 1000 * 30 // 30 seconds
+
+/**
+ * Encapsulates a token service, keeping the access tokens of a session fresh.
+ * A session holds one set of tokens per linked identity provider.
+ */
+export class TokenService {
+  /**
+   * The service.
+   *
+   * @type {AuthService}
+   */
+  #authService
+
+  /**
+   * Refreshes in progress, or recently finished, keyed by provider and the refresh token used.
+   *
+   * @type {Map<string, Promise<object>>}
+   */
+  #refreshes
+
+  /**
+   * Initializes a new instance.
+   *
+   * @param {AuthService} authService - A service instantiated from a class with the same capabilities as AuthService.
+   */
+  constructor (authService) {
+    this.#authService = authService
+    this.#refreshes = new Map()
+  }
+
+  /**
+   * Gets the tokens of a linked identity provider.
+   *
+   * @param {object} session - The session holding the tokens.
+   * @param {string} provider - The name of the identity provider.
+   * @returns {object} - The tokens.
+   */
+  getTokens (session, provider) {
+    const tokens = session.tokens?.[provider]
+
+    if (!tokens) {
+      throw new HttpError({ status: 403, message: `No account from "${provider}" is linked to the session.` })
+    }
+
+    return tokens
+  }
+
+  /**
+   * Gets a valid access token, refreshing the tokens of the session if the current one is about to expire.
+   *
+   * @param {object} session - The session holding the tokens.
+   * @param {string} provider - The name of the identity provider.
+   * @returns {Promise<string>} - The access token.
+   */
+  async getAccessToken (session, provider) {
+    const { expires_at: expiresAt } = this.getTokens(session, provider)
+
+    if (expiresAt && expiresAt - EXPIRY_MARGIN <= Date.now()) {
+      await this.refresh(session, provider)
+    }
+
+    return this.getTokens(session, provider).access_token
+  }
+
+  /**
+   * Calls a function with a valid access token. If the service provider
+   * rejects the token the tokens are refreshed and the call retried once.
+   *
+   * @param {object} session - The session holding the tokens.
+   * @param {string} provider - The name of the identity provider.
+   * @param {Function} request - A function accepting an access token and returning a promise.
+   * @returns {Promise<*>} - The value the request resolves to.
+   */
+  async withAccessToken (session, provider, request) {
+    const accessToken = await this.getAccessToken(session, provider)
+
+    try {
+      return await request(accessToken)
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error
+      }
+
+      // Another request may already have replaced the token.
+      if (this.getTokens(session, provider).access_token === accessToken) {
+        await this.refresh(session, provider)
+      }
+
+      return request(this.getTokens(session, provider).access_token)
+    }
+  }
+
+  /**
+   * Refreshes the tokens of the session. Concurrent refreshes using the same
+   * refresh token are serialized into a single request to the service provider.
+   *
+   * @param {object} session - The session holding the tokens.
+   * @param {string} provider - The name of the identity provider.
+   * @returns {Promise<object>} - The rotated tokens.
+   */
+  async refresh (session, provider) {
+    const { refresh_token: refreshToken } = this.getTokens(session, provider)
+
+    if (!refreshToken) {
+      throw new HttpError({ status: 401, message: 'The session has expired. Please log in again.', data: { provider } })
+    }
+
+    const key = `${provider}:${refreshToken}`
+
+    if (!this.#refreshes.has(key)) {
+      const refresh = this.#authService.refreshTokens(provider, refreshToken)
+
+      this.#refreshes.set(key, refresh)
+      refresh.then(
+        () => setTimeout(() => this.#refreshes.delete(key), REFRESH_GRACE_PERIOD).unref(),
+        () => this.#refreshes.delete(key)
+      )
+    }
+
+    try {
+      const tokens = await this.#refreshes.get(key)
+
+      // Write the rotated tokens back to the session.
+      session.tokens = { ...session.tokens, [provider]: { ...session.tokens[provider], ...tokens } }
+
+      return session.tokens[provider]
+    } catch (error) {
+      throw new HttpError({ status: 401, message: 'The session has expired. Please log in again.', cause: error, data: { provider } })
+    }
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * @file Tests of the AuthController class.
+ * @module AuthController.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+// Application modules.
+import { AuthController } from '../../src/controllers/AuthController.js'
+
+/**
+ * Creates a controller whose service authorizes the given subject.
+ *
+ * @param {object} login - The login the service authorizes.
+ * @param {string} login.sub - The subject of the ID token.
+ * @param {number} [login.maxAge] - The max_age of the authorization request.
+ * @returns {AuthController} The controller.
+ */
+const createController = ({ sub, maxAge }) => new AuthController({
+  defaultProvider: 'gitlab',
+
+  /**
+   * Accepts any state.
+   *
+   * @param {object} session - The session.
+   * @param {string} state - The state.
+   * @param {string} provider - The identity provider redirecting back.
+   * @returns {object} The authorization request.
+   */
+  verifyState: (session, state, provider) => ({ provider, maxAge }),
+
+  /**
+   * Authorizes the subject.
+   *
+   * @returns {Promise<object>} The tokens and claims.
+   */
+  authorizeUser: async () => ({ tokens: { access_token: `token of ${sub}` }, claims: { sub, auth_time: 2000 } })
+})
+
+/**
+ * Creates a request with a session, and a response recording the redirect.
+ *
+ * @param {object} session - The data of the session.
+ * @param {string} [provider] - The identity provider redirecting back.
+ * @returns {{ req: object, res: object }} The request and response.
+ */
+const createRequest = (session, provider) => {
+  const flashes = []
+  const req = {
+    params: { provider },
+    query: { code: 'code', state: 'state' },
+    flashes,
+
+    /**
+     * Records a flash message.
+     *
+     * @param {string} type - The type of the message.
+     * @param {string} text - The text of the message.
+     */
+    flash: (type, text) => { flashes.push({ type, text }) },
+    session: {
+      ...session,
+      /**
+       * Empties the session, as express-session does.
+       *
+       * @param {Function} callback - Called when done.
+       */
+      regenerate (callback) {
+        for (const key of Object.keys(this)) {
+          if (typeof this[key] !== 'function') {
+            delete this[key]
+          }
+        }
+        callback()
+      }
+    }
+  }
+  const res = {
+    /**
+     * Records the redirect.
+     *
+     * @param {string} location - The location redirected to.
+     */
+    redirect (location) {
+      this.location = location
+    }
+  }
+
+  return { req, res }
+}
+
+/**
+ * The session of the user with the subject "1" logged in with GitLab.
+ *
+ * @type {object}
+ */
+const loggedIn = {
+  user: { provider: 'gitlab', sub: '1', authTime: 1000 },
+  tokens: { gitlab: { access_token: 'token of 1' }, github: { access_token: 'token of 1 at github' } },
+  createdAt: 500,
+  returnTo: '/sessions'
+}
+
+describe('AuthController#authorize', () => {
+  it('logs in a user without a session', async () => {
+    const { req, res } = createRequest({})
+
+    await createController({ sub: '1' }).authorize(req, res, assert.fail)
+
+    assert.deepEqual(req.session.user, { provider: 'gitlab', sub: '1', authTime: 2000 })
+    assert.deepEqual(req.session.tokens, { gitlab: { access_token: 'token of 1' } })
+    assert.equal(res.location, '/home')
+  })
+
+  it('logs the same user in again, keeping the linked accounts', async () => {
+    const { req, res } = createRequest(loggedIn)
+
+    await createController({ sub: '1' }).authorize(req, res, assert.fail)
+
+    assert.deepEqual(req.session.user, { provider: 'gitlab', sub: '1', authTime: 2000 })
+    assert.equal(req.session.tokens.github.access_token, 'token of 1 at github')
+    assert.equal(req.session.createdAt, 500)
+    assert.equal(res.location, '/sessions')
+  })
+
+  it('links an account from another provider without changing the user', async () => {
+    const { req, res } = createRequest(loggedIn, 'other')
+
+    await createController({ sub: '99' }).authorize(req, res, assert.fail)
+
+    assert.deepEqual(req.session.user, loggedIn.user)
+    assert.equal(req.session.tokens.other.access_token, 'token of 99')
+    assert.equal(req.session.tokens.gitlab.access_token, 'token of 1')
+    assert.equal(res.location, '/sessions')
+  })
+
+  it('starts a fresh session when another account of the same provider logs in', async () => {
+    const { req, res } = createRequest(loggedIn)
+
+    await createController({ sub: '2' }).authorize(req, res, assert.fail)
+
+    assert.deepEqual(req.session.user, { provider: 'gitlab', sub: '2', authTime: 2000 })
+    assert.deepEqual(req.session.tokens, { gitlab: { access_token: 'token of 2' } })
+    assert.notEqual(req.session.createdAt, 500)
+    assert.equal(res.location, '/home')
+  })
+
+  it('refreshes the time of authentication when the user confirms the login', async () => {
+    const { req, res } = createRequest(loggedIn)
+
+    await createController({ sub: '1', maxAge: 900 }).authorize(req, res, assert.fail)
+
+    assert.equal(req.session.user.authTime, 2000)
+    assert.equal(res.location, '/sessions')
+  })
+
+  it('rejects a login confirmation made with another account, keeping the session', async () => {
+    const { req, res } = createRequest(loggedIn)
+
+    await createController({ sub: '2', maxAge: 900 }).authorize(req, res, assert.fail)
+
+    assert.deepEqual(req.session.user, loggedIn.user)
+    assert.deepEqual(req.session.tokens, loggedIn.tokens)
+    assert.equal(req.flashes[0].type, 'danger')
+    assert.equal(res.location, '/')
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * @file Tests of the EncryptedSessionStore class.
+ * @module EncryptedSessionStore.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { randomBytes } from 'node:crypto'
+import { promisify } from 'node:util'
+import { describe, it } from 'node:test'
+
+// User-land modules.
+import session from 'express-session'
+
+// Application modules.
+import { EncryptedSessionStore } from '../../src/lib/EncryptedSessionStore.js'
+import { TokenCipher } from '../../src/lib/TokenCipher.js'
+
+/**
+ * Creates a key on the form TokenCipher expects.
+ *
+ * @param {string} kid - The key ID.
+ * @returns {string} The key.
+ */
+const createKey = (kid) => `${kid}:${randomBytes(32).toString('base64')}`
+
+/**
+ * Wraps a store in an encrypting store with the given keys.
+ *
+ * @param {session.Store} store - The store the encrypted sessions are kept in.
+ * @param {string} keys - The keys, the current key first.
+ * @returns {EncryptedSessionStore} The encrypting store.
+ */
+const createStore = (store, keys) => new EncryptedSessionStore({ store, cipher: new TokenCipher(keys), properties: ['tokens'] })
+
+/**
+ * Gets a session from a store.
+ *
+ * @param {session.Store} store - The store.
+ * @param {string} sid - The session ID.
+ * @returns {Promise<object|undefined>} The session.
+ */
+const get = (store, sid) => promisify(store.get.bind(store))(sid)
+
+/**
+ * Stores a session in a store.
+ *
+ * @param {session.Store} store - The store.
+ * @param {string} sid - The session ID.
+ * @param {object} sess - The session.
+ * @returns {Promise<void>}
+ */
+const set = (store, sid, sess) => promisify(store.set.bind(store))(sid, sess)
+
+/**
+ * A session with tokens.
+ *
+ * @type {object}
+ */
+const sess = {
+  cookie: { originalMaxAge: 60000, expires: new Date(Date.now() + 60000).toISOString() },
+  user: { provider: 'gitlab', sub: '1' },
+  tokens: { gitlab: { access_token: 'secret access token', refresh_token: 'secret refresh token' } }
+}
+
+describe('EncryptedSessionStore', () => {
+  it('stores the tokens encrypted and reads them back decrypted', async () => {
+    const memory = new session.MemoryStore()
+    const store = createStore(memory, createKey('one'))
+
+    await set(store, 'sid', sess)
+
+    assert.deepEqual(await get(store, 'sid'), sess)
+
+    const stored = await get(memory, 'sid')
+    assert.equal(stored.tokens.kid, 'one')
+    assert.deepEqual(stored.user, sess.user)
+    assert.doesNotMatch(JSON.stringify(stored), /secret/)
+  })
+
+  it('reads a session encrypted with an old key and re-encrypts it with the current one', async () => {
+    const memory = new session.MemoryStore()
+    const oldKey = createKey('old')
+
+    await set(createStore(memory, oldKey), 'sid', sess)
+
+    const store = createStore(memory, `${createKey('new')},${oldKey}`)
+
+    assert.deepEqual(await get(store, 'sid'), sess)
+    assert.equal((await get(memory, 'sid')).tokens.kid, 'new')
+    assert.deepEqual(await get(store, 'sid'), sess)
+  })
+
+  it('logs out the user of a session encrypted with an unknown key', async () => {
+    const memory = new session.MemoryStore()
+    const errors = []
+
+    await set(createStore(memory, createKey('lost')), 'sid', sess)
+
+    const store = createStore(memory, createKey('new'))
+    store.on('error', (error) => errors.push(error))
+
+    const read = await get(store, 'sid')
+
+    assert.equal(read.user, undefined)
+    assert.equal(read.tokens, undefined)
+    assert.equal(errors.length, 1)
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * @file Tests of the FileSessionStore class.
+ * @module FileSessionStore.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { promisify } from 'node:util'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+
+// Application modules.
+import { FileSessionStore } from '../../src/lib/FileSessionStore.js'
+
+describe('FileSessionStore', () => {
+  let path
+  let store
+
+  beforeEach(async () => {
+    path = await mkdtemp(join(tmpdir(), 'sessions-'))
+    store = new FileSessionStore({ path })
+  })
+
+  afterEach(async () => {
+    await rm(path, { recursive: true, force: true })
+  })
+
+  it('stores and reads a session', async () => {
+    const sess = { cookie: { expires: new Date(Date.now() + 60000).toISOString() }, user: { sub: '1' } }
+
+    await promisify(store.set.bind(store))('sid', sess)
+
+    assert.deepEqual(await promisify(store.get.bind(store))('sid'), sess)
+  })
+
+  it('survives parallel writes of the same session', async () => {
+    const set = promisify(store.set.bind(store))
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => set('sid', { cookie: {}, index })))
+
+    assert.deepEqual(await readdir(path), ['sid.json'])
+  })
+
+  it('removes a corrupt session file and lists the other sessions', async () => {
+    await writeFile(join(path, 'corrupt.json'), '{"expires":')
+    await writeFile(join(path, 'valid.json'), JSON.stringify({ expires: Date.now() + 60000, session: { user: { sub: '1' } } }))
+
+    assert.deepEqual(await promisify(store.all.bind(store))(), { valid: { user: { sub: '1' } } })
+    assert.deepEqual(await readdir(path), ['valid.json'])
+  })
+
+  it('removes an expired session when it is read', async () => {
+    await writeFile(join(path, 'expired.json'), JSON.stringify({ expires: Date.now() - 1, session: {} }))
+
+    assert.equal(await promisify(store.get.bind(store))('expired'), undefined)
+    assert.deepEqual(await readdir(path), [])
+  })
+})
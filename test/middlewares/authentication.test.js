@@ -0,0 +1,94 @@
+/**
+ * @file Tests of the authentication middlewares.
+ * @module authentication.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+// Application modules.
+import { requireRecentLogin } from '../../src/middlewares/authentication.js'
+
+/**
+ * Runs requireRecentLogin for a user who authenticated some seconds ago.
+ *
+ * @param {number|undefined} secondsAgo - How long ago the user authenticated, if known.
+ * @param {object} [request] - More properties of the request.
+ * @returns {Promise<{ req: object, location: string|undefined, nextCalled: boolean }>} The request, the location redirected to and whether next was called.
+ */
+const run = async (secondsAgo, request = {}) => {
+  const flashes = []
+  const req = {
+    method: 'GET',
+    originalUrl: '/sessions',
+    baseUrl: '/sessions',
+    flashes,
+
+    /**
+     * Records a flash message.
+     *
+     * @param {string} type - The type of the message.
+     * @param {string} text - The text of the message.
+     */
+    flash: (type, text) => { flashes.push({ type, text }) },
+    session: {
+      user: {
+        provider: 'gitlab',
+        sub: '1',
+        authTime: secondsAgo === undefined ? undefined : Date.now() / 1000 - secondsAgo
+      }
+    },
+    ...request
+  }
+  let location
+  let nextCalled = false
+
+  const res = {
+    /**
+     * Records the redirect.
+     *
+     * @param {string} url - The location redirected to.
+     */
+    redirect: (url) => { location = url }
+  }
+
+  await requireRecentLogin(900)(req, res, (error) => {
+    assert.equal(error, undefined)
+    nextCalled = true
+  })
+
+  return { req, location, nextCalled }
+}
+
+describe('requireRecentLogin', () => {
+  it('lets a user who logged in recently through', async () => {
+    const { location, nextCalled } = await run(60)
+
+    assert.equal(nextCalled, true)
+    assert.equal(location, undefined)
+  })
+
+  it('sends a user who logged in too long ago to log in again, and then back', async () => {
+    const { req, location, nextCalled } = await run(901, { originalUrl: '/sessions?provider=gitlab' })
+
+    assert.equal(nextCalled, false)
+    assert.equal(location, '/auth/gitlab?prompt=login&max_age=900')
+    assert.equal(req.session.returnTo, '/sessions?provider=gitlab')
+    assert.equal(req.flashes.length, 1)
+  })
+
+  it('sends a user whose time of login is unknown to log in again', async () => {
+    const { location, nextCalled } = await run(undefined)
+
+    assert.equal(nextCalled, false)
+    assert.equal(location, '/auth/gitlab?prompt=login&max_age=900')
+  })
+
+  it('returns to the page of the router after a form post', async () => {
+    const { req } = await run(901, { method: 'POST', originalUrl: '/sessions/revoke-others' })
+
+    assert.equal(req.session.returnTo, '/sessions')
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * @file Tests of the CSRF protection middlewares.
+ * @module csrf.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+// Application modules.
+import { HttpError } from '../../src/lib/errors/HttpError.js'
+import { provideCsrfToken, verifyCsrfToken } from '../../src/middlewares/csrf.js'
+
+/**
+ * Runs a middleware and gets what it passed to next.
+ *
+ * @param {Function} middleware - The middleware.
+ * @param {object} req - The request.
+ * @param {object} [res] - The response.
+ * @returns {*} The argument next was called with.
+ */
+const run = (middleware, req, res = { locals: {} }) => {
+  let passed = null
+
+  middleware(req, res, (error) => { passed = error })
+  assert.notEqual(passed, null, 'next was not called')
+
+  return passed
+}
+
+describe('provideCsrfToken', () => {
+  it('gives the session of a logged in user a token, and keeps it', () => {
+    const req = { session: { user: { sub: '1' } } }
+    const res = { locals: {} }
+
+    run(provideCsrfToken, req, res)
+    const token = req.session.csrfToken
+    run(provideCsrfToken, req, res)
+
+    assert.match(token, /^[\w-]{43}$/)
+    assert.equal(req.session.csrfToken, token)
+    assert.equal(res.locals.csrfToken, token)
+  })
+
+  it('gives no token to a visitor who is not logged in', () => {
+    const req = { session: {} }
+    const res = { locals: {} }
+
+    run(provideCsrfToken, req, res)
+
+    assert.equal(req.session.csrfToken, undefined)
+    assert.equal(res.locals.csrfToken, undefined)
+  })
+})
+
+describe('verifyCsrfToken', () => {
+  const session = { csrfToken: 'a'.repeat(43) }
+
+  it('accepts a form with the token of the session', () => {
+    assert.equal(run(verifyCsrfToken, { session, body: { _csrf: session.csrfToken } }), undefined)
+  })
+
+  for (const [name, req] of [
+    ['without a token', { session, body: {} }],
+    ['without a body', { session }],
+    ['with another token', { session, body: { _csrf: 'b'.repeat(43) } }],
+    ['with a token of another length', { session, body: { _csrf: 'a' } }],
+    ['with a token that is not a string', { session, body: { _csrf: [session.csrfToken] } }],
+    ['to a session without a token', { session: {}, body: { _csrf: '' } }]
+  ]) {
+    it(`rejects a form ${name}`, () => {
+      const error = run(verifyCsrfToken, req)
+
+      assert.ok(error instanceof HttpError)
+      assert.equal(error.status, 403)
+    })
+  }
+})
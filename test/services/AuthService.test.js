@@ -0,0 +1,105 @@
+/**
+ * @file Tests of the AuthService class.
+ * @module AuthService.test
+ * @author Daniel Andersson
+ */
+
+// Built-in modules.
+import assert from 'node:assert/strict'
+import { createHash } from 'node:crypto'
+import { describe, it } from 'node:test'
+
+// Application modules.
+import { HttpError } from '../../src/lib/errors/HttpError.js'
+import { ValidationError } from '../../src/lib/errors/ValidationError.js'
+import { AuthService } from '../../src/services/AuthService.js'
+
+/**
+ * A registry of one identity provider, "gitlab".
+ *
+ * @type {object}
+ */
+const providers = {
+  defaultName: 'gitlab',
+
+  /**
+   * Gets the configuration of the provider.
+   *
+   * @returns {object} The configuration.
+   */
+  get: () => ({ clientId: 'client', redirectUri: 'http://localhost/auth/callback', responseType: 'code', scope: 'openid' }),
+
+  /**
+   * Gets the OpenID Connect configuration of the provider.
+   *
+   * @returns {Promise<object>} The configuration.
+   */
+  getMetadata: async () => ({ authorization_endpoint: 'https://gitlab.example/oauth/authorize' })
+}
+
+/**
+ * Starts a login and gets the authorization URL's query parameters.
+ *
+ * @param {object} session - The session of the user logging in.
+ * @param {object} [options] - OpenID Connect parameters for the login.
+ * @returns {Promise<URLSearchParams>} The query parameters.
+ */
+const startLogin = async (session, options) => new URL(await new AuthService(providers).createAuthorizationUrl(session, 'gitlab', options)).searchParams
+
+describe('AuthService#createAuthorizationUrl', () => {
+  it('binds a state, a nonce and a PKCE code verifier to the session', async () => {
+    const session = {}
+    const params = await startLogin(session)
+    const request = session.authorizationRequests[params.get('state')]
+
+    assert.equal(request.provider, 'gitlab')
+    assert.equal(request.nonce, params.get('nonce'))
+    assert.equal(params.get('code_challenge_method'), 'S256')
+    assert.equal(params.get('code_challenge'), createHash('sha256').update(request.codeVerifier).digest('base64url'))
+  })
+
+  it('keeps the pending logins of other tabs', async () => {
+    const session = {}
+    const first = (await startLogin(session)).get('state')
+    const second = (await startLogin(session)).get('state')
+
+    assert.notEqual(first, second)
+    assert.deepEqual(Object.keys(session.authorizationRequests), [first, second])
+  })
+
+  it('rejects a max_age that is not a number of seconds', async () => {
+    await assert.rejects(startLogin({}, { maxAge: 'soon' }), ValidationError)
+  })
+})
+
+describe('AuthService#verifyState', () => {
+  const service = new AuthService(providers)
+
+  it('accepts a state once', async () => {
+    const session = {}
+    const state = (await startLogin(session)).get('state')
+
+    assert.equal(service.verifyState(session, state, 'gitlab').provider, 'gitlab')
+    assert.throws(() => service.verifyState(session, state, 'gitlab'), HttpError)
+  })
+
+  it('rejects a missing or unknown state', () => {
+    assert.throws(() => service.verifyState({}, undefined, 'gitlab'), { status: 403 })
+    assert.throws(() => service.verifyState({ authorizationRequests: {} }, 'unknown', 'gitlab'), { status: 403 })
+  })
+
+  it('rejects a state from a login with another provider', async () => {
+    const session = {}
+    const state = (await startLogin(session)).get('state')
+
+    assert.throws(() => service.verifyState(session, state, 'github'), { status: 403 })
+  })
+
+  it('rejects an expired state', async () => {
+    const session = {}
+    const state = (await startLogin(session)).get('state')
+    session.authorizationRequests[state].createdAt -= 1000 * 60 * 60
+
+    assert.throws(() => service.verifyState(session, state, 'gitlab'), { status: 403 })
+  })
+})